@@ -1,28 +1,239 @@
-export const prefix = '!';
-export const owner = ['+254700143167'];
-export const sessionFile = './session';
-export const AUTO_STATUS_SEEN = true;
-export const SESSION_ID = '';
-export const AUTO_STATUS_REACT = true;
-export const AUTO_STATUS_REPLY = false;
-export const AUTO_STATUS_MSG = "🔥 Silva MD Pro noticed your status!";
-export const Status_Saver = 'false';
-export const STATUS_REPLY = 'false';
-export const STATUS_MSG = "👀 Silva MD Pro viewed your status.";
-export const NEWSLETTER_IDS = [
-  "120363276154401733@newsletter",
-  "120363200367779016@newsletter",
-  "120363199904258143@newsletter"
-];
+// config.js — single source of configuration for Silva MD Pro.
+// Every key can be overridden with an environment variable of the same name
+// (see app.json), and at runtime by the owner with !setvar (stored in data/config.json,
+// or CONFIG_OVERRIDES_FILE when set).
+// Precedence: default < environment < setvar override.
+import fs from "fs";
+import path from "path";
+
+const OVERRIDES_FILE = path.resolve(process.env.CONFIG_OVERRIDES_FILE || "./data/config.json");
+
+/**
+ * type: string | number | boolean | list | enum
+ * restart: the new value only takes effect after a restart
+ * secret: masked in getvar output
+ */
+export const CONFIG_SCHEMA = {
+  // ---- core ----
+  PREFIX: { type: "list", default: ["!", "."], description: "Command prefixes, comma separated (multi-character allowed)" },
+  NO_PREFIX_PRIVATE: { type: "boolean", default: false, description: "Allow commands without a prefix in private chats" },
+  OWNER_NUMBER: { type: "list", default: ["254700143167"], description: "Owner phone numbers, comma separated" },
+  SESSION_ID: { type: "string", default: "", secret: true, restart: true, description: "Session: Silva~<mega id>, SilvaZ~/SilvaE~ string, base64 creds or file:<path>" },
+  SESSION_KEY: { type: "string", default: "", secret: true, description: "Passphrase for encrypted sessions (SilvaE~ / file:)" },
+  PAIRING_NUMBER: { type: "string", default: "", restart: true, description: "Phone number to log in with a pairing code instead of a QR" },
+  DATABASE_FILE: { type: "string", default: "./data/database.json", restart: true, description: "Path of the JSON database" },
+
+  // ---- status@broadcast ----
+  AUTO_STATUS_SEEN: { type: "boolean", default: true, description: "Automatically view statuses" },
+  AUTO_STATUS_REACT: { type: "boolean", default: true, description: "Auto-react to viewed statuses" },
+  AUTO_STATUS_REPLY: { type: "boolean", default: false, description: "Auto-reply to viewed statuses" },
+  AUTO_STATUS_MSG: { type: "string", default: "🔥 Silva MD Pro noticed your status!", description: "Auto-reply text" },
+  STATUS_SAVER: { type: "boolean", default: false, description: "Enable automatic status saving" },
+  STATUS_REPLY: { type: "boolean", default: false, description: "Reply after saving status" },
+  STATUS_MSG: { type: "string", default: "👀 Silva MD Pro viewed your status.", description: "Reply text after saving" },
+  STATUS_SAVE_TARGET: { type: "enum", values: ["chat", "disk"], default: "chat", description: "Where saved statuses go" },
+  STATUS_SAVE_DIR: { type: "string", default: "./statuses", description: "Folder for statuses saved to disk" },
+  CUSTOM_REACT_EMOJIS: { type: "list", default: ["❤️", "🔥", "💯", "😍", "👏"], description: "Emojis for status reactions" },
+  STATUS_ALLOW_LIST: { type: "list", default: [], description: "Only handle statuses from these numbers (empty = everyone)" },
+  STATUS_DENY_LIST: { type: "list", default: [], description: "Never handle statuses from these numbers" },
+
+  // ---- anti-delete ----
+  ANTIDELETE: { type: "boolean", default: true, description: "Recover deleted/edited messages by default" },
+  ANTIDELETE_TARGET: { type: "enum", values: ["owner", "chat", "log"], default: "owner", description: "Where recovered messages go" },
+  ANTIDELETE_LOG_GROUP: { type: "string", default: "", description: "Group JID used when ANTIDELETE_TARGET is log" },
+  MESSAGE_STORE_FILE: { type: "string", default: "./data/messages.jsonl", restart: true, description: "Anti-delete message store" },
+  MESSAGE_STORE_MAX: { type: "number", default: 5000, min: 100, description: "Messages kept for anti-delete" },
+  MESSAGE_STORE_MAX_AGE_HOURS: { type: "number", default: 48, min: 1, description: "Hours a message is kept for anti-delete" },
+
+  // ---- limits ----
+  FLOOD_MAX_COMMANDS: { type: "number", default: 8, min: 1, description: "Commands allowed per flood window" },
+  FLOOD_WINDOW_SECONDS: { type: "number", default: 15, min: 1, description: "Flood detection window" },
+  FLOOD_BLOCK_SECONDS: { type: "number", default: 60, min: 1, description: "How long flooding senders are ignored" },
+  QUEUE_CONCURRENCY: { type: "number", default: 4, min: 1, max: 32, restart: true, description: "Chats processed in parallel" },
+  QUEUE_MAX_PENDING: { type: "number", default: 300, min: 10, restart: true, description: "Waiting messages before new ones are dropped" },
+  QUEUE_MAX_PER_CHAT: { type: "number", default: 30, min: 1, restart: true, description: "Waiting messages per chat" },
+  STATUS_QUEUE_MAX: { type: "number", default: 100, min: 1, restart: true, description: "Waiting status updates (kept apart from the message queue)" },
+  COMMAND_TIMEOUT_SECONDS: { type: "number", default: 120, min: 5, description: "Default command timeout" },
+  MEDIA_MAX_MB: { type: "number", default: 100, min: 1, max: 2000, description: "Largest download the bot will fetch" },
+  MEDIA_DOCUMENT_THRESHOLD_MB: { type: "number", default: 64, min: 1, description: "Media above this size is sent as a document" },
+
+  // ---- youtube ----
+  YT_VIDEO_QUALITY: { type: "enum", values: ["144p", "240p", "360p", "480p", "720p", "1080p"], default: "360p", description: "Video resolution when none is asked for" },
+  YT_AUDIO_BITRATE: { type: "enum", values: ["64k", "128k", "192k", "256k", "320k"], default: "128k", description: "Audio bitrate when none is asked for" },
+  YT_PLAYLIST_MAX_ITEMS: { type: "number", default: 10, min: 1, max: 50, description: "Most items sent from one playlist request" },
+
+  // ---- logging ----
+  LOG_LEVEL: { type: "enum", values: ["trace", "debug", "info", "warn", "error", "fatal"], default: "info", description: "Minimum level that is logged" },
+  BAILEYS_LOG_LEVEL: { type: "enum", values: ["silent", "trace", "debug", "info", "warn", "error", "fatal"], default: "silent", restart: true, description: "Log level of the WhatsApp library" },
+  LOG_FILE: { type: "string", default: "", description: "Also write JSON log lines to this file (empty = console only)" },
+  LOG_MAX_MB: { type: "number", default: 5, min: 1, description: "Rotate the log file at this size" },
+  LOG_MAX_FILES: { type: "number", default: 3, min: 1, max: 20, description: "Rotated log files to keep" },
+  LOG_DEDUP_MS: { type: "number", default: 2500, min: 0, description: "Identical log lines within this window are folded" },
+
+  // ---- scheduler ----
+  SCHEDULER_MISSED_POLICY: { type: "enum", values: ["catchup", "skip"], default: "catchup", description: "Jobs that were due while the bot was down: send late (catchup) or drop the run (skip)" },
+  SCHEDULER_CATCHUP_HOURS: { type: "number", default: 12, min: 0, description: "Missed runs older than this are skipped even with catchup" },
+  SCHEDULER_MAX_JOBS: { type: "number", default: 10, min: 1, description: "Active jobs per user (the owner is not limited)" },
+
+  // ---- http server ----
+  PORT: { type: "number", default: 0, min: 0, max: 65535, restart: true, description: "Port for the health/metrics HTTP server (0 = off)" },
+  LOGIN_TOKEN: { type: "string", default: "", secret: true, description: "Token for the /login page showing the QR or pairing code (empty = page off)" },
+  HEALTH_GRACE_SECONDS: { type: "number", default: 300, min: 0, description: "/health fails once the bot has been disconnected this long" },
+
+  // ---- branding ----
+  NEWSLETTER_JID: { type: "string", default: "120363200367779016@newsletter", description: "Newsletter shown on forwarded messages" },
+  NEWSLETTER_NAME: { type: "string", default: "◢◤ Silva Tech Inc ◢◤", description: "Newsletter name shown on forwarded messages" },
+  NEWSLETTER_IDS: {
+    type: "list",
+    default: ["120363276154401733@newsletter", "120363200367779016@newsletter", "120363199904258143@newsletter"],
+    description: "Newsletters the bot follows"
+  }
+};
+
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map((p) => `  • ${p}`).join("\n")}`);
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+const BOOLEAN_VALUES = {
+  true: true, yes: true, on: true, 1: true, enable: true,
+  false: false, no: false, off: false, 0: false, disable: false
+};
+
+// turns a raw value (env string, setvar text, or a default) into the schema type
+export function parseValue(key, raw) {
+  const spec = CONFIG_SCHEMA[key];
+  if (!spec) throw new Error(`Unknown variable ${key}`);
+
+  switch (spec.type) {
+    case "boolean": {
+      if (typeof raw === "boolean") return raw;
+      const value = BOOLEAN_VALUES[String(raw).trim().toLowerCase()];
+      if (value === undefined) throw new Error(`${key} must be true or false (got "${raw}")`);
+      return value;
+    }
+    case "number": {
+      const value = Number(raw);
+      if (!Number.isFinite(value)) throw new Error(`${key} must be a number (got "${raw}")`);
+      if (spec.min !== undefined && value < spec.min) throw new Error(`${key} must be at least ${spec.min}`);
+      if (spec.max !== undefined && value > spec.max) throw new Error(`${key} must be at most ${spec.max}`);
+      return value;
+    }
+    case "list":
+      return (Array.isArray(raw) ? raw : String(raw).split(","))
+        .map((v) => String(v).trim())
+        .filter(Boolean);
+    case "enum": {
+      const value = String(raw).trim().toLowerCase();
+      if (!spec.values.includes(value)) throw new Error(`${key} must be one of ${spec.values.join(", ")} (got "${raw}")`);
+      return value;
+    }
+    default:
+      return String(raw);
+  }
+}
+
+function readOverrides() {
+  try {
+    return fs.existsSync(OVERRIDES_FILE) ? JSON.parse(fs.readFileSync(OVERRIDES_FILE, "utf8")) : {};
+  } catch (err) {
+    throw new ConfigError([`${OVERRIDES_FILE} is not valid JSON: ${err.message}`]);
+  }
+}
+
+function writeOverrides() {
+  fs.mkdirSync(path.dirname(OVERRIDES_FILE), { recursive: true });
+  const tmp = `${OVERRIDES_FILE}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(overrides, null, 2));
+  fs.renameSync(tmp, OVERRIDES_FILE);
+}
+
+// live values; modules read config.KEY at use time so setvar applies immediately
+export const config = {};
+let overrides = {};
 
 // central global context info for all outgoing messages (plugins, system messages, etc.)
 export const globalContextInfo = {
   forwardingScore: 999,
   isForwarded: true,
   forwardedNewsletterMessageInfo: {
-    newsletterJid: "120363200367779016@newsletter",
-    newsletterName: "◢◤ Silva Tech Inc ◢◤",
+    newsletterJid: "",
+    newsletterName: "",
     serverMessageId: 144
   }
 };
 
+function applyDerived() {
+  globalContextInfo.forwardedNewsletterMessageInfo.newsletterJid = config.NEWSLETTER_JID;
+  globalContextInfo.forwardedNewsletterMessageInfo.newsletterName = config.NEWSLETTER_NAME;
+}
+
+function sourceOf(key) {
+  if (key in overrides) return "setvar";
+  if (process.env[key] !== undefined && process.env[key] !== "") return "env";
+  return "default";
+}
+
+export function loadConfig() {
+  const problems = [];
+  overrides = readOverrides();
+
+  for (const key of Object.keys(overrides)) {
+    if (!CONFIG_SCHEMA[key]) problems.push(`${key} in ${OVERRIDES_FILE} is not a known variable`);
+  }
+
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    const source = sourceOf(key);
+    const raw = source === "setvar" ? overrides[key] : source === "env" ? process.env[key] : spec.default;
+    try {
+      config[key] = parseValue(key, raw);
+    } catch (err) {
+      problems.push(`${err.message} [from ${source}]`);
+    }
+  }
+
+  if (problems.length) throw new ConfigError(problems);
+  applyDerived();
+  return config;
+}
+
+export function getVar(key) {
+  const spec = CONFIG_SCHEMA[key];
+  if (!spec) return null;
+  return { key, value: config[key], source: sourceOf(key), ...spec };
+}
+
+export function listVars() {
+  return Object.keys(CONFIG_SCHEMA).map(getVar);
+}
+
+// validates and persists a runtime override; throws with a readable message when invalid
+export function setVar(key, raw) {
+  const value = parseValue(key, raw);
+  overrides[key] = value;
+  writeOverrides();
+  config[key] = value;
+  applyDerived();
+  return getVar(key);
+}
+
+export function resetVar(key) {
+  if (!CONFIG_SCHEMA[key]) throw new Error(`Unknown variable ${key}`);
+  delete overrides[key];
+  writeOverrides();
+  const source = sourceOf(key);
+  config[key] = parseValue(key, source === "env" ? process.env[key] : CONFIG_SCHEMA[key].default);
+  applyDerived();
+  return getVar(key);
+}
+
+try {
+  loadConfig();
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  console.error("Fix the values above (environment variables or data/config.json) and restart.");
+  process.exit(1);
+}
@@ -0,0 +1,193 @@
+// console.js — run Silva MD Pro plugins offline, without a phone or WhatsApp connection.
+//   node console.js                      interactive console
+//   node console.js --replay <file>      replay a script and check the replies (exit code 1 on failure)
+// Uses its own database and !setvar overrides so the live ones are never touched.
+process.env.DATABASE_FILE ||= "./data/console-db.json";
+process.env.CONFIG_OVERRIDES_FILE ||= "./data/console-config.json";
+process.env.MESSAGE_STORE_FILE ||= "./data/console-messages.jsonl";
+process.env.CONSOLE_MEDIA_DIR ||= "./console-media";
+
+const fs = await import("fs");
+const readline = await import("readline");
+const { default: chalk } = await import("chalk");
+const { config } = await import("./config.js");
+const { loadPlugins, handleMessage, invalidateGroupMetadata } = await import("./lib/handler.js");
+const { handleParticipantsUpdate } = await import("./lib/greetings.js");
+const { offerMessage, pendingCollectors } = await import("./lib/collector.js");
+const { CONSOLE_GROUP, buildConsoleMessage, createConsoleSocket, describeSent, toJid } = await import(
+  "./lib/consoleTransport.js"
+);
+
+const HELP = `Console commands:
+  /from <number> [name]   send as another user
+  /owner                  send as the bot owner
+  /chat private|group|<jid>
+  /admin on|off           make the sender a group admin
+  /reply <text>           reply to the bot's last message
+  /wait <ms>              pause (useful in scripts)
+  /help  /quit
+Script assertions (--replay), checked against the replies to the previous message:
+  > contains <text>   > !contains <text>   > match /regex/i   > count <n>   > none`;
+
+const state = { sender: toJid("254711000001"), name: "Console User", chat: null, replies: [], lastBot: null, running: null };
+state.chat = state.sender;
+
+const sock = createConsoleSocket({
+  mediaDir: process.env.CONSOLE_MEDIA_DIR,
+  onSend: (record) => {
+    const line = describeSent(record);
+    state.replies.push(line);
+    if (!record.content.react && !record.content.delete) state.lastBot = { ...record, sender: toJid(sock.user.id.split(":")[0]) };
+    console.log(chalk.green(`‹ ${record.chatId === state.chat ? "" : `[${record.chatId}] `}${line}`));
+  }
+});
+
+sock.ev.on("group-participants.update", (update) => {
+  invalidateGroupMetadata(update.id);
+  handleParticipantsUpdate(sock, update).catch((err) => console.error(chalk.red(err.message)));
+});
+
+// waits for the plugin to finish, or to stop and ask the user something
+async function untilIdle(running) {
+  let done = !running;
+  const finish = () => (done = true);
+  running?.then(finish, finish);
+  while (!done && !pendingCollectors(state.chat)) await new Promise((resolve) => setTimeout(resolve, 20));
+}
+
+async function send(text, quoted) {
+  state.replies = [];
+  if (state.chat.endsWith("@g.us")) sock.setParticipant(state.chat, state.sender);
+  const msg = buildConsoleMessage({ chatId: state.chat, sender: state.sender, pushName: state.name, text, quoted });
+  // a plugin still waiting for an answer keeps running alongside this message
+  const handle = (raw) => (state.running = Promise.all([state.running, handleMessage(sock, raw)]));
+  // an answer to a plugin's question resumes that plugin instead of starting a new command
+  if (!offerMessage(sock, msg, handle)) handle(msg);
+  await untilIdle(state.running);
+  // let fire-and-forget sends from the plugin land before the next line
+  await new Promise((resolve) => setTimeout(resolve, 20));
+}
+
+function directive(line) {
+  const [cmd, ...rest] = line.slice(1).split(/\s+/);
+  const arg = rest.join(" ");
+  const inPrivate = !state.chat.endsWith("@g.us");
+
+  switch (cmd) {
+    case "from":
+      if (!rest[0]) return "Usage: /from <number> [name]";
+      state.sender = toJid(rest[0]);
+      state.name = rest.slice(1).join(" ") || state.name;
+      if (inPrivate) state.chat = state.sender;
+      return `Sending as ${state.sender}`;
+    case "owner":
+      state.sender = toJid(config.OWNER_NUMBER[0]);
+      state.name = "Owner";
+      if (inPrivate) state.chat = state.sender;
+      return `Sending as the owner (${state.sender})`;
+    case "chat":
+      state.chat = arg === "group" ? CONSOLE_GROUP : arg === "private" || !arg ? state.sender : arg;
+      return `Chat is now ${state.chat}`;
+    case "admin":
+      if (!state.chat.endsWith("@g.us")) return "Switch to a group first: /chat group";
+      sock.setParticipant(state.chat, state.sender, arg === "off" ? null : "admin");
+      invalidateGroupMetadata(state.chat);
+      return `${state.sender} is ${arg === "off" ? "no longer" : "now"} an admin`;
+    case "help":
+      return HELP;
+    case "quit":
+    case "exit":
+      process.exit(0);
+      break;
+    default:
+      return `Unknown console command /${cmd} — try /help`;
+  }
+}
+
+// returns an error message, or null when the assertion holds
+function check(assertion) {
+  const [op, ...rest] = assertion.trim().split(/\s+/);
+  const arg = rest.join(" ");
+  const all = state.replies.join("\n");
+
+  if (op === "contains") return all.includes(arg) ? null : `expected a reply containing "${arg}"`;
+  if (op === "!contains") return all.includes(arg) ? `expected no reply containing "${arg}"` : null;
+  if (op === "count") return state.replies.length === Number(arg) ? null : `expected ${arg} replies, got ${state.replies.length}`;
+  if (op === "none") return state.replies.length ? `expected no reply, got ${state.replies.length}` : null;
+  if (op === "match") {
+    const [, source, flags] = arg.match(/^\/(.*)\/([a-z]*)$/) || [];
+    if (source === undefined) return `bad regex ${arg}`;
+    return new RegExp(source, flags).test(all) ? null : `expected a reply matching ${arg}`;
+  }
+  return `unknown assertion "${op}"`;
+}
+
+async function runLine(line) {
+  if (line.startsWith("/reply ")) return send(line.slice(7), state.lastBot);
+  if (line.startsWith("/wait ")) return new Promise((resolve) => setTimeout(resolve, Number(line.slice(6)) || 0));
+  if (line.startsWith("/")) return console.log(chalk.gray(directive(line)));
+  return send(line);
+}
+
+async function replay(file) {
+  const lines = fs.readFileSync(file, "utf8").split(/\r?\n/);
+  let failures = 0;
+  let assertions = 0;
+
+  for (const [index, raw] of lines.entries()) {
+    const line = raw.trim();
+    if (!line || line.startsWith("#")) continue;
+
+    if (line.startsWith(">")) {
+      assertions++;
+      const problem = check(line.slice(1));
+      if (problem) {
+        failures++;
+        console.log(chalk.red(`✗ ${file}:${index + 1} ${problem}`));
+        for (const reply of state.replies) console.log(chalk.red(`    got: ${reply.split("\n")[0]}`));
+      } else console.log(chalk.gray(`✓ ${line.slice(1).trim()}`));
+      continue;
+    }
+
+    if (!line.startsWith("/")) console.log(chalk.cyan(`› ${line}`));
+    await runLine(line);
+  }
+
+  console.log(failures ? chalk.red(`\n${failures} of ${assertions} assertions failed`) : chalk.green(`\nAll ${assertions} assertions passed`));
+  process.exit(failures ? 1 : 0);
+}
+
+function repl() {
+  console.log(chalk.bold("Silva MD Pro console — type a message, or /help"));
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const prompt = () => rl.setPrompt(chalk.cyan(`${state.sender.split("@")[0]}@${state.chat.endsWith("@g.us") ? "group" : "private"}> `));
+  prompt();
+  rl.prompt();
+
+  // one line at a time, so replies stay next to the message that caused them
+  let busy = Promise.resolve();
+  rl.on("line", (line) => {
+    busy = busy
+      .then(() => line.trim() && runLine(line.trim()))
+      .catch((err) => console.error(chalk.red(err.stack || err.message)))
+      .then(() => {
+        prompt();
+        rl.prompt();
+      });
+  });
+  rl.on("close", () => busy.then(() => process.exit(0)));
+}
+
+await loadPlugins();
+
+const replayIndex = process.argv.indexOf("--replay");
+if (replayIndex !== -1) {
+  const file = process.argv[replayIndex + 1];
+  if (!file) {
+    console.error("Usage: node console.js --replay <file>");
+    process.exit(2);
+  }
+  await replay(file);
+} else {
+  repl();
+}
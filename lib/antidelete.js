@@ -0,0 +1,180 @@
+// lib/antidelete.js
+import pkg from "@whiskeysockets/baileys";
+import { config, globalContextInfo } from "../config.js";
+import { getGroupMetadata, getMessageText, unwrapMessage } from "./handler.js";
+import { getSettings, readChat } from "./database.js";
+import { getMessage, saveMessage } from "./messageStore.js";
+import { jidToNumber, safeGetUserJid } from "./utils.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("antidelete");
+
+const { getContentType, downloadContentFromMessage } = pkg;
+
+const TEXT_TYPES = ["conversation", "extendedTextMessage"];
+const MEDIA_TYPES = [
+  "imageMessage",
+  "videoMessage",
+  "ptvMessage",
+  "audioMessage",
+  "stickerMessage",
+  "documentMessage"
+];
+// media whose caption can carry the recovery header
+const CAPTIONED_TYPES = ["imageMessage", "videoMessage", "documentMessage"];
+
+export const TARGETS = ["owner", "chat", "log"];
+
+export function isAntideleteEnabled(chatId) {
+  const value = readChat(chatId).antidelete;
+  if (value === true || value === false) return value;
+  return config.ANTIDELETE;
+}
+
+export function getAntideleteTarget() {
+  const settings = getSettings();
+  return {
+    target: settings.antideleteTarget || config.ANTIDELETE_TARGET,
+    logGroup: settings.antideleteLogGroup || config.ANTIDELETE_LOG_GROUP || null
+  };
+}
+
+function resolveDestination(sock, chatId) {
+  const { target, logGroup } = getAntideleteTarget();
+  if (target === "chat") return chatId;
+  if (target === "log" && logGroup) return logGroup;
+  return safeGetUserJid(sock);
+}
+
+// keeps every non-status message on disk so it can be recovered later
+export function rememberMessage(m) {
+  if (!m?.message || m.key?.remoteJid === "status@broadcast") return;
+  if (m.message.protocolMessage || m.message.reactionMessage) return;
+  saveMessage(m);
+}
+
+async function buildHeader(sock, title, original, key) {
+  const chatId = key.remoteJid;
+  const sender = original?.key?.participant || key.participant || chatId;
+  const name = original?.pushName ? `${original.pushName} (@${jidToNumber(sender)})` : `@${jidToNumber(sender)}`;
+
+  let chatName = "Private chat";
+  if (chatId.endsWith("@g.us")) {
+    chatName = await getGroupMetadata(sock, chatId)
+      .then((meta) => meta?.subject || chatId)
+      .catch(() => chatId);
+  }
+
+  const timestamp = Number(original?.messageTimestamp || 0);
+  const sentAt = timestamp ? new Date(timestamp * 1000).toLocaleString() : "unknown";
+
+  return {
+    text: `${title}\n\n👤 *Sender:* ${name}\n💬 *Chat:* ${chatName}\n🕒 *Sent:* ${sentAt}`,
+    mentions: [sender]
+  };
+}
+
+async function download(content, mType) {
+  const type = mType === "ptvMessage" ? "video" : mType.replace("Message", "");
+  const stream = await downloadContentFromMessage(content, type);
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+async function resend(sock, destination, original, header) {
+  const contextInfo = { ...globalContextInfo, mentionedJid: header.mentions };
+  const msg = unwrapMessage(original.message);
+  const mType = msg ? getContentType(msg) : null;
+  const content = mType ? msg[mType] : null;
+
+  if (TEXT_TYPES.includes(mType)) {
+    return sock.sendMessage(destination, {
+      text: `${header.text}\n\n📝 *Message:*\n${getMessageText(msg)}`,
+      mentions: header.mentions,
+      contextInfo
+    });
+  }
+
+  if (MEDIA_TYPES.includes(mType)) {
+    const buffer = await download(content, mType);
+    const field = mType === "ptvMessage" ? "video" : mType.replace("Message", "");
+    const payload = { [field]: buffer, mentions: header.mentions, contextInfo };
+    if (content.mimetype) payload.mimetype = content.mimetype;
+    if (content.fileName) payload.fileName = content.fileName;
+
+    if (CAPTIONED_TYPES.includes(mType) || mType === "ptvMessage") {
+      payload.caption = content.caption ? `${header.text}\n\n📝 *Caption:* ${content.caption}` : header.text;
+    } else {
+      await sock.sendMessage(destination, { text: header.text, mentions: header.mentions, contextInfo });
+    }
+    if (mType === "audioMessage") payload.ptt = !!content.ptt;
+    return sock.sendMessage(destination, payload);
+  }
+
+  if (mType === "locationMessage") {
+    await sock.sendMessage(destination, { text: header.text, mentions: header.mentions, contextInfo });
+    return sock.sendMessage(destination, {
+      location: { degreesLatitude: content.degreesLatitude, degreesLongitude: content.degreesLongitude }
+    });
+  }
+
+  if (mType === "contactMessage") {
+    await sock.sendMessage(destination, { text: header.text, mentions: header.mentions, contextInfo });
+    return sock.sendMessage(destination, {
+      contacts: { displayName: content.displayName, contacts: [{ vcard: content.vcard }] }
+    });
+  }
+
+  // anything else (polls, contact lists, ...) is forwarded as-is
+  await sock.sendMessage(destination, { text: header.text, mentions: header.mentions, contextInfo });
+  return sock.sendMessage(destination, { forward: { key: original.key, message: msg } });
+}
+
+async function recoverDeleted(sock, key) {
+  const original = getMessage(key.remoteJid, key.id);
+  const destination = resolveDestination(sock, key.remoteJid);
+  if (!original?.message || !destination) return;
+
+  const header = await buildHeader(sock, "🚨 *Anti-Delete* — message recovered", original, key);
+  await resend(sock, destination, original, header);
+}
+
+async function reportEdit(sock, key, update) {
+  const edited = update.message.editedMessage.message;
+  const original = getMessage(key.remoteJid, key.id);
+  const destination = resolveDestination(sock, key.remoteJid);
+  if (!destination) return;
+
+  const before = original?.message ? getMessageText(original.message) : "";
+  const after = getMessageText(edited);
+  if (!after || before === after) return;
+
+  const header = await buildHeader(sock, "✏️ *Anti-Edit* — message edited", original, key);
+  await sock.sendMessage(destination, {
+    text: `${header.text}\n\n📝 *Original:*\n${before || "_(not in message store)_"}\n\n✏️ *Edited:*\n${after}`,
+    mentions: header.mentions,
+    contextInfo: { ...globalContextInfo, mentionedJid: header.mentions }
+  });
+
+  // keep the latest version so a later delete or edit shows the right text
+  if (original) saveMessage({ ...original, message: edited });
+}
+
+/**
+ * Entry point for `messages.update`: recovers deleted messages and reports
+ * edits for chats that have anti-delete enabled.
+ */
+export async function handleMessageUpdates(sock, updates) {
+  for (const { key, update } of updates) {
+    if (!key?.remoteJid || key.remoteJid === "status@broadcast" || key.fromMe) continue;
+    if (!isAntideleteEnabled(key.remoteJid)) continue;
+
+    try {
+      if (update?.message === null) await recoverDeleted(sock, key);
+      else if (update?.message?.editedMessage?.message) await reportEdit(sock, key, update);
+    } catch (err) {
+      log.error(`Recovery failed: ${err.message}`);
+    }
+  }
+}
@@ -0,0 +1,181 @@
+// lib/collector.js
+import pkg from "@whiskeysockets/baileys";
+import { serialize } from "./handler.js";
+import { sameUser } from "./group.js";
+import { moderateMessage } from "./moderation.js";
+import { createLogger } from "./logger.js";
+
+const { getAggregateVotesInPollMessage } = pkg;
+
+const log = createLogger("collector");
+
+const DEFAULT_TIMEOUT_MS = 60_000;
+
+// pending collectors: { type: "message" | "reaction" | "poll", chat, sender, messageId, filter, finish, claimed }
+const waiters = new Set();
+
+// lets the message queue free a chat's slot while its plugin waits for an answer
+let hooks = { wait: () => {}, resume: () => {} };
+
+export function setCollectorHooks({ wait, resume }) {
+  hooks = { wait, resume };
+}
+
+/**
+ * Every collector resolves with its result, or with null once it times out,
+ * is cancelled or its AbortSignal fires — plugins never have to catch.
+ */
+function collect(waiter, { timeout = DEFAULT_TIMEOUT_MS, signal } = {}) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) return resolve(null);
+
+    const onAbort = () => finish(null);
+    function finish(value) {
+      if (!waiters.delete(waiter)) return false;
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+      hooks.resume(waiter.chat);
+      resolve(value);
+      return true;
+    }
+
+    const timer = setTimeout(() => finish(null), timeout);
+    signal?.addEventListener("abort", onAbort, { once: true });
+    waiter.finish = finish;
+    waiter.filter ??= () => true;
+    waiters.add(waiter);
+    hooks.wait(waiter.chat);
+  });
+}
+
+function accepts(waiter, value) {
+  try {
+    return !!waiter.filter(value);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Waits for the next message from the same user in the same chat as `m`.
+ * A newer awaitReply for the same user and chat replaces this one.
+ */
+export function awaitReply(m, { timeout, filter, signal } = {}) {
+  cancelCollectors(m.chat, m.sender);
+  return collect({ type: "message", chat: m.chat, sender: m.sender, filter }, { timeout, signal });
+}
+
+// sends `question` and waits for the answer
+export async function ask(m, question, options = {}) {
+  await m.reply(question);
+  return awaitReply(m, options);
+}
+
+// resolves true for yes, false for no, null when nobody answered in time
+export async function confirm(m, question, options = {}) {
+  const answer = await ask(m, `${question}\n\nReply *yes* or *no*.`, {
+    ...options,
+    filter: (r) => /^(y|yes|n|no)$/i.test(r.text.trim())
+  });
+  return answer ? /^y/i.test(answer.text.trim()) : null;
+}
+
+/**
+ * Waits for a reaction to a message the bot sent (the value sendMessage
+ * resolved with). Resolves with { emoji, sender, message }.
+ */
+export function awaitReaction(sent, { from, timeout, filter, signal } = {}) {
+  return collect({ type: "reaction", chat: sent.key.remoteJid, sender: from, messageId: sent.key.id, filter }, { timeout, signal });
+}
+
+/**
+ * Waits for a vote on a poll the bot sent. Resolves with
+ * { sender, options } where options are the names the voter picked.
+ */
+export function awaitPollVote(sent, { from, timeout, filter, signal } = {}) {
+  return collect(
+    { type: "poll", chat: sent.key.remoteJid, sender: from, messageId: sent.key.id, pollMessage: sent.message, filter },
+    { timeout, signal }
+  );
+}
+
+export function cancelCollectors(chat, sender) {
+  for (const w of [...waiters]) {
+    if (w.chat === chat && (!sender || (w.sender && sameUser(w.sender, sender)))) w.finish(null);
+  }
+}
+
+// collectors still waiting for input; one whose answer is being moderated doesn't count
+export function pendingCollectors(chat) {
+  return [...waiters].filter((w) => !w.claimed && (!chat || w.chat === chat)).length;
+}
+
+// Baileys needs the original poll to decrypt votes on it
+export function getPollMessage(id) {
+  for (const w of waiters) if (w.type === "poll" && w.messageId === id) return w.pollMessage;
+  return null;
+}
+
+// the answer still goes through group moderation, exactly as a queued message would;
+// if the collector closed meanwhile, onMissed() hands the message back
+function deliver(sock, waiter, m, value, onMissed) {
+  waiter.claimed = true;
+  Promise.resolve(m.isGroup && moderateMessage(sock, m))
+    .catch((err) => log.error(`Moderation of a collected message failed: ${err.message}`))
+    .then((blocked) => {
+      waiter.claimed = false;
+      if (!blocked && !waiter.finish(value)) onMissed();
+    });
+}
+
+/**
+ * Offers an incoming message to the pending collectors. Must run before the
+ * per-chat queue: a plugin waiting for a reply is still holding its chat's
+ * slot, so the reply can't wait behind it. Returns true when consumed; a
+ * consumed message the moderation removes never reaches the collector.
+ * `requeue(raw)` gets the message back when its collector closed before it
+ * could be delivered.
+ */
+export function offerMessage(sock, raw, requeue) {
+  if (!raw?.message || raw.key?.fromMe) return false;
+  const candidates = [...waiters].filter((w) => w.chat === raw.key.remoteJid && w.type !== "poll" && !w.claimed);
+  if (!candidates.length) return false;
+
+  const m = serialize(sock, raw);
+  const onMissed = () => requeue?.(raw);
+  for (const w of candidates) {
+    if (w.type === "reaction") {
+      if (m.type !== "reactionMessage" || m.msg?.key?.id !== w.messageId) continue;
+      if (w.sender && !sameUser(w.sender, m.sender)) continue;
+      const value = { emoji: m.msg.text, sender: m.sender, message: m };
+      if (!m.msg.text || !accepts(w, value)) continue;
+      deliver(sock, w, m, value, onMissed);
+      return true;
+    }
+
+    if (m.type === "reactionMessage" || !sameUser(w.sender, m.sender) || !accepts(w, m)) continue;
+    deliver(sock, w, m, m, onMissed);
+    return true;
+  }
+  return false;
+}
+
+// messages.update carries decrypted poll votes as update.pollUpdates
+export function offerPollUpdates(updates) {
+  for (const { key, update } of updates || []) {
+    if (!update?.pollUpdates) continue;
+    const waiter = [...waiters].find((w) => w.type === "poll" && w.messageId === key.id);
+    if (!waiter) continue;
+
+    for (const pollUpdate of update.pollUpdates) {
+      const votes = getAggregateVotesInPollMessage({ message: waiter.pollMessage, pollUpdates: [pollUpdate] });
+      const picked = votes.filter((v) => v.voters.length);
+      if (!picked.length) continue; // vote withdrawn
+      const value = { sender: picked[0].voters[0], options: picked.map((v) => v.name) };
+      if (waiter.sender && !sameUser(waiter.sender, value.sender)) continue;
+      if (!accepts(waiter, value)) continue;
+      waiter.finish(value);
+      break;
+    }
+  }
+}
@@ -0,0 +1,172 @@
+// lib/consoleTransport.js
+import { EventEmitter } from "events";
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { Readable } from "stream";
+
+const MEDIA_KEYS = ["image", "video", "audio", "document", "sticker"];
+const EXTENSIONS = { image: "jpg", video: "mp4", audio: "mp3", sticker: "webp", document: "bin" };
+
+export const CONSOLE_GROUP = "120363000000000000@g.us";
+
+const toJid = (number) => `${String(number).replace(/[^0-9]/g, "")}@s.whatsapp.net`;
+const newId = () => `CONSOLE${crypto.randomBytes(6).toString("hex").toUpperCase()}`;
+
+async function toBuffer(media) {
+  if (Buffer.isBuffer(media)) return media;
+  if (media?.url && !/^https?:\/\//.test(media.url)) return fs.promises.readFile(media.url);
+  if (media?.stream || media instanceof Readable) {
+    const chunks = [];
+    for await (const chunk of media.stream || media) chunks.push(chunk);
+    return Buffer.concat(chunks);
+  }
+  return null;
+}
+
+/**
+ * A stand-in for the Baileys socket. sendMessage() is recorded and reported
+ * through `onSend`, media is written to `mediaDir`, and group calls act on
+ * in-memory groups. Methods it doesn't know resolve to undefined, so plugins
+ * using rarer socket calls still run.
+ */
+export function createConsoleSocket({ botNumber = "10000000000", mediaDir = "./console-media", onSend = () => {} } = {}) {
+  const user = { id: `${botNumber}:1@s.whatsapp.net`, name: "Silva MD Pro (console)" };
+  const groups = new Map();
+  let inviteCode = "CONSOLEINVITE1";
+
+  function group(chatId) {
+    if (!groups.has(chatId)) {
+      groups.set(chatId, {
+        id: chatId,
+        subject: "Console Group",
+        desc: "Synthetic group used by the offline console",
+        owner: user.id,
+        creation: Math.floor(Date.now() / 1000),
+        announce: false,
+        restrict: false,
+        participants: [{ id: toJid(botNumber), admin: "superadmin" }]
+      });
+    }
+    return groups.get(chatId);
+  }
+
+  async function saveMedia(kind, content) {
+    const buffer = await toBuffer(content[kind]);
+    if (!buffer) return content[kind]?.url || "(unreadable media)";
+    fs.mkdirSync(mediaDir, { recursive: true });
+    const ext = content.fileName?.split(".").pop() || content.mimetype?.split("/")[1]?.split(";")[0] || EXTENSIONS[kind];
+    const file = path.join(mediaDir, `${Date.now()}-${kind}.${ext}`);
+    fs.writeFileSync(file, buffer);
+    return file;
+  }
+
+  const api = {
+    user,
+    ev: new EventEmitter(),
+    authState: { creds: { registered: true } },
+    sent: [],
+
+    async sendMessage(chatId, content, options = {}) {
+      const key = { remoteJid: chatId, fromMe: true, id: newId() };
+      const kind = MEDIA_KEYS.find((k) => content[k]);
+      const record = { chatId, content, options, key, kind: kind || Object.keys(content).find((k) => k !== "contextInfo") };
+      if (kind) record.file = await saveMedia(kind, content);
+      api.sent.push(record);
+      await onSend(record);
+      return { key, message: { conversation: content.text || content.caption || "" }, messageTimestamp: Math.floor(Date.now() / 1000) };
+    },
+
+    // lets the console flip the current sender's admin flag or add them to the group
+    setParticipant(chatId, jid, admin) {
+      const meta = group(chatId);
+      const existing = meta.participants.find((p) => p.id === jid);
+      if (existing) existing.admin = admin === undefined ? existing.admin : admin;
+      else meta.participants.push({ id: jid, admin: admin ?? null });
+    },
+
+    async groupMetadata(chatId) {
+      return structuredClone(group(chatId));
+    },
+    async groupParticipantsUpdate(chatId, jids, action) {
+      const meta = group(chatId);
+      return jids.map((jid) => {
+        const member = meta.participants.find((p) => p.id === jid);
+        if (action === "add") {
+          if (member) return { jid, status: "409" };
+          meta.participants.push({ id: jid, admin: null });
+        } else if (!member) return { jid, status: "404" };
+        else if (action === "remove") meta.participants = meta.participants.filter((p) => p !== member);
+        else member.admin = action === "promote" ? "admin" : null;
+        api.ev.emit("group-participants.update", { id: chatId, participants: [jid], action, author: user.id });
+        return { jid, status: "200" };
+      });
+    },
+    async groupSettingUpdate(chatId, setting) {
+      const meta = group(chatId);
+      if (setting === "announcement" || setting === "not_announcement") meta.announce = setting === "announcement";
+      else meta.restrict = setting === "locked";
+    },
+    async groupUpdateSubject(chatId, subject) {
+      group(chatId).subject = subject;
+    },
+    async groupUpdateDescription(chatId, desc) {
+      group(chatId).desc = desc;
+    },
+    async groupInviteCode() {
+      return inviteCode;
+    },
+    async groupRevokeInvite() {
+      inviteCode = `CONSOLE${crypto.randomBytes(4).toString("hex").toUpperCase()}`;
+      return inviteCode;
+    },
+    async profilePictureUrl() {
+      throw new Error("No profile picture in console mode");
+    },
+    end() {}
+  };
+
+  return new Proxy(api, {
+    get(target, prop) {
+      if (prop in target || typeof prop === "symbol" || prop === "then") return target[prop];
+      return async () => undefined;
+    }
+  });
+}
+
+/**
+ * Builds a synthetic incoming message the way Baileys delivers it.
+ * @user mentions in the text are picked up, and `quoted` (a sent record or
+ * a message key) turns it into a reply.
+ */
+export function buildConsoleMessage({ chatId, sender, pushName = "Console User", text, quoted }) {
+  const isGroup = chatId.endsWith("@g.us");
+  const mentions = [...text.matchAll(/@(\d{7,15})/g)].map(([, n]) => toJid(n));
+  const contextInfo = {};
+  if (mentions.length) contextInfo.mentionedJid = mentions;
+  if (quoted) {
+    contextInfo.stanzaId = quoted.key.id;
+    contextInfo.participant = quoted.sender || quoted.key.participant || quoted.key.remoteJid;
+    contextInfo.quotedMessage = { conversation: quoted.content?.text || quoted.content?.caption || "" };
+  }
+
+  return {
+    key: { remoteJid: chatId, fromMe: false, id: newId(), participant: isGroup ? sender : undefined },
+    message: Object.keys(contextInfo).length ? { extendedTextMessage: { text, contextInfo } } : { conversation: text },
+    pushName,
+    messageTimestamp: Math.floor(Date.now() / 1000)
+  };
+}
+
+// one line describing a recorded sendMessage call
+export function describeSent(record) {
+  const { content, kind } = record;
+  if (content.react) return `reacted ${content.react.text || "(removed)"}`;
+  if (content.delete) return "deleted a message";
+  if (content.edit) return `edited a message → ${content.text}`;
+  if (record.file) return `[${kind}] saved to ${record.file}${content.caption ? ` — ${content.caption}` : ""}`;
+  if (content.text !== undefined) return content.text;
+  return `[${kind}] ${JSON.stringify(content).slice(0, 200)}`;
+}
+
+export { toJid };
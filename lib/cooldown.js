@@ -0,0 +1,141 @@
+// lib/cooldown.js
+import { config } from "../config.js";
+import { getUser } from "./database.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("cooldown");
+
+// "<sender>:<command>" -> { until, notified }
+const cooldowns = new Map();
+// sender -> { hits: [timestamps], blockedUntil, notified }
+const floods = new Map();
+
+const SWEEP_INTERVAL_MS = 5 * 60_000;
+
+export function formatWait(ms) {
+  const total = Math.ceil(ms / 1000);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  return [h && `${h}h`, m && `${m}m`, (s || (!h && !m)) && `${s}s`].filter(Boolean).join(" ");
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function msUntilMidnightUTC() {
+  const now = new Date();
+  return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1) - now.getTime();
+}
+
+/**
+ * Global per-sender flood guard. Returns null when the sender may continue,
+ * otherwise { notify, message } — `notify` is true only for the first blocked
+ * attempt so the bot doesn't answer every spammed message.
+ */
+export function checkFlood(sender) {
+  const now = Date.now();
+  const state = floods.get(sender) || { hits: [], blockedUntil: 0, notified: false };
+  floods.set(sender, state);
+
+  if (state.blockedUntil > now) {
+    const notify = !state.notified;
+    state.notified = true;
+    return {
+      notify,
+      message: `🚫 Slow down! You're sending commands too fast. Try again in *${formatWait(state.blockedUntil - now)}*.`
+    };
+  }
+
+  state.hits = state.hits.filter((t) => now - t < config.FLOOD_WINDOW_SECONDS * 1000);
+  state.hits.push(now);
+  if (state.hits.length > config.FLOOD_MAX_COMMANDS) {
+    state.hits = [];
+    state.blockedUntil = now + config.FLOOD_BLOCK_SECONDS * 1000;
+    state.notified = true;
+    log.warn(`Ignoring ${sender} for ${config.FLOOD_BLOCK_SECONDS}s`);
+    return {
+      notify: true,
+      message: `🚫 Flood detected — I'll ignore your commands for *${formatWait(config.FLOOD_BLOCK_SECONDS * 1000)}*.`
+    };
+  }
+
+  state.notified = false;
+  return null;
+}
+
+/**
+ * Enforces a plugin's `cooldown` (seconds between uses per user) and `limit`
+ * (uses per user per day). Same return shape as checkFlood.
+ */
+export function checkCooldown(plugin, sender, name) {
+  const now = Date.now();
+
+  if (plugin.cooldown) {
+    const key = `${sender}:${name}`;
+    const state = cooldowns.get(key);
+    if (state && state.until > now) {
+      const notify = !state.notified;
+      state.notified = true;
+      return {
+        notify,
+        message: `⏳ Please wait *${formatWait(state.until - now)}* before using *${name}* again.`
+      };
+    }
+  }
+
+  if (plugin.limit) {
+    const usage = getUser(sender).usage;
+    if (usage.date === today() && (usage.counts[name] || 0) >= plugin.limit) {
+      const notify = !usage.notified[name];
+      usage.notified[name] = true;
+      return {
+        notify,
+        message: `📛 Daily limit reached for *${name}* (${plugin.limit}/day). Resets in *${formatWait(msUntilMidnightUTC())}*.`
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Call once a command has been allowed to run. Charging up front stops a user
+ * from starting the same command in several chats at once; the returned
+ * function takes the charge back when the run turns out not to count.
+ */
+export function recordUsage(plugin, sender, name) {
+  const key = `${sender}:${name}`;
+  const cooldown = plugin.cooldown ? { until: Date.now() + plugin.cooldown * 1000, notified: false } : null;
+  if (cooldown) cooldowns.set(key, cooldown);
+
+  let day = null;
+  if (plugin.limit) {
+    const user = getUser(sender);
+    day = today();
+    if (user.usage.date !== day) user.usage = { date: day, counts: {}, notified: {} };
+    user.usage.counts[name] = (user.usage.counts[name] || 0) + 1;
+  }
+
+  let refunded = false;
+  return () => {
+    if (refunded) return;
+    refunded = true;
+    if (cooldown && cooldowns.get(key) === cooldown) cooldowns.delete(key);
+    const { usage } = getUser(sender);
+    if (day && usage.date === day && usage.counts[name] > 0) {
+      usage.counts[name]--;
+      delete usage.notified[name];
+    }
+  };
+}
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, state] of cooldowns) if (state.until <= now) cooldowns.delete(key);
+  for (const [key, state] of floods) {
+    if (state.blockedUntil <= now && !state.hits.some((t) => now - t < config.FLOOD_WINDOW_SECONDS * 1000))
+      floods.delete(key);
+  }
+}, SWEEP_INTERVAL_MS).unref();
@@ -0,0 +1,154 @@
+// lib/database.js
+import fs from "fs";
+import path from "path";
+import { config } from "../config.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("db");
+
+const FLUSH_INTERVAL_MS = 10_000;
+
+// defaults merged into every record, so new keys appear on old data automatically
+const SCHEMA = {
+  chats: {
+    prefix: null,
+    suggestions: true,
+    // null = follow config.ANTIDELETE
+    antidelete: null,
+    // how downloads are sent here: auto | video | audio | voice | document
+    mediaMode: "auto",
+    // group moderation settings (see lib/moderation.js); null = never configured
+    moderation: null,
+    // number -> { count, reasons }
+    warnings: {},
+    // welcome | goodbye | promote | demote -> { enabled, text, picture } (see lib/greetings.js)
+    greetings: {}
+  },
+  users: {
+    name: "",
+    commands: 0,
+    lastSeen: 0,
+    // per-day command counts for plugins that declare handler.limit
+    usage: { date: "", counts: {}, notified: {} }
+  },
+  settings: {
+    disabledCommands: [],
+    antideleteTarget: null,
+    antideleteLogGroup: null
+  }
+};
+
+const dbFile = path.resolve(config.DATABASE_FILE);
+let data = { chats: {}, users: {}, settings: {} };
+let lastWritten = "";
+let flushTimer = null;
+
+function deepFreeze(value) {
+  if (value && typeof value === "object") Object.values(Object.freeze(value)).forEach(deepFreeze);
+  return value;
+}
+
+// what readChat hands out for unknown chats; frozen so a stray write throws
+// instead of changing the defaults of every chat
+const UNKNOWN_CHAT = deepFreeze(structuredClone(SCHEMA.chats));
+
+// fills in missing keys on the stored object itself, so references callers hold stay live
+function withDefaults(defaults, record) {
+  for (const [key, value] of Object.entries(defaults)) {
+    if (!(key in record)) record[key] = structuredClone(value);
+  }
+  return record;
+}
+
+function load() {
+  try {
+    if (!fs.existsSync(dbFile)) return;
+    const raw = fs.readFileSync(dbFile, "utf8");
+    const parsed = JSON.parse(raw);
+    data = {
+      chats: parsed.chats || {},
+      users: parsed.users || {},
+      settings: parsed.settings || {}
+    };
+    lastWritten = raw;
+  } catch (err) {
+    // keep the unreadable file around for inspection and start fresh
+    const backup = `${dbFile}.corrupt-${Date.now()}`;
+    log.error(`Failed to read ${dbFile}: ${err.message} — moved to ${backup}`);
+    try {
+      fs.renameSync(dbFile, backup);
+    } catch {}
+  }
+}
+
+/**
+ * Writes the in-memory data to disk if it changed since the last write.
+ * The file is replaced atomically (temp file + rename) so a crash mid-write
+ * never leaves half a JSON document behind.
+ */
+export function flush() {
+  const json = JSON.stringify(data, null, 2);
+  if (json === lastWritten) return false;
+
+  try {
+    fs.mkdirSync(path.dirname(dbFile), { recursive: true });
+    const tmp = `${dbFile}.tmp`;
+    fs.writeFileSync(tmp, json);
+    fs.renameSync(tmp, dbFile);
+    lastWritten = json;
+    return true;
+  } catch (err) {
+    log.error(`Failed to write ${dbFile}: ${err.message}`);
+    return false;
+  }
+}
+
+function record(namespace, id) {
+  const store = data[namespace];
+  store[id] ??= {};
+  return withDefaults(SCHEMA[namespace], store[id]);
+}
+
+export function getChat(chatId) {
+  return record("chats", chatId);
+}
+
+// read-only lookup for hot paths: never creates a record for unknown chats
+export function readChat(chatId) {
+  return data.chats[chatId] ? getChat(chatId) : UNKNOWN_CHAT;
+}
+
+export function getUser(jid) {
+  return record("users", jid);
+}
+
+export function getSettings() {
+  return withDefaults(SCHEMA.settings, data.settings);
+}
+
+// plugins can keep their own data in a namespace of the global settings
+export function getPluginData(name, defaults = {}) {
+  const settings = getSettings();
+  settings.plugins ??= {};
+  settings.plugins[name] ??= {};
+  return withDefaults(defaults, settings.plugins[name]);
+}
+
+export function startAutoFlush() {
+  if (flushTimer) return;
+  flushTimer = setInterval(flush, FLUSH_INTERVAL_MS);
+  flushTimer.unref();
+}
+
+load();
+process.on("exit", flush);
+
+// passed to plugins as `db`; records are plain objects, mutate them directly
+export const db = {
+  chat: getChat,
+  readChat,
+  user: getUser,
+  settings: getSettings,
+  plugin: getPluginData,
+  flush
+};
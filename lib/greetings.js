@@ -0,0 +1,99 @@
+// lib/greetings.js
+import { getChat, readChat } from "./database.js";
+import { getGroupMetadata } from "./handler.js";
+import { jidToNumber, safeGetUserJid } from "./utils.js";
+import { globalContextInfo } from "../config.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("greetings");
+
+// group-participants.update action -> greeting type
+const ACTIONS = { add: "welcome", remove: "goodbye", promote: "promote", demote: "demote" };
+
+export const GREETING_TYPES = Object.values(ACTIONS);
+
+export const PLACEHOLDERS = {
+  user: "mention of the member",
+  number: "member's phone number",
+  group: "group name",
+  desc: "group description",
+  count: "member count",
+  author: "mention of the admin who made the change"
+};
+
+export const DEFAULT_GREETINGS = {
+  welcome: { enabled: false, picture: true, text: "👋 Welcome {user} to *{group}*!\nYou are member #{count}.\n\n📝 {desc}" },
+  goodbye: { enabled: false, picture: false, text: "👋 {user} left *{group}*. We're now {count} members." },
+  promote: { enabled: false, picture: false, text: "⬆️ {user} is now an admin of *{group}* (by {author})." },
+  demote: { enabled: false, picture: false, text: "⬇️ {user} is no longer an admin of *{group}* (by {author})." }
+};
+
+export function getGreeting(chatId, type) {
+  return { ...DEFAULT_GREETINGS[type], ...readChat(chatId).greetings?.[type] };
+}
+
+// writable copy on the chat record; always carries every default key
+export function updateGreeting(chatId, type) {
+  const chat = getChat(chatId);
+  chat.greetings[type] = { ...DEFAULT_GREETINGS[type], ...chat.greetings[type] };
+  return chat.greetings[type];
+}
+
+export function resetGreeting(chatId, type) {
+  const greeting = updateGreeting(chatId, type);
+  greeting.text = DEFAULT_GREETINGS[type].text;
+  greeting.picture = DEFAULT_GREETINGS[type].picture;
+  return greeting;
+}
+
+// unknown placeholders are left as typed so typos are easy to spot
+export function renderTemplate(template, vars) {
+  return template.replace(/\{(\w+)\}/g, (all, key) => (key in vars ? String(vars[key]) : all));
+}
+
+/**
+ * Builds the message for one member. Used both for real events and for the
+ * `preview` subcommands, so what admins preview is exactly what gets sent.
+ */
+export async function buildGreeting(sock, chatId, type, member, author) {
+  const greeting = getGreeting(chatId, type);
+  const meta = await getGroupMetadata(sock, chatId);
+  const text = renderTemplate(greeting.text, {
+    user: `@${jidToNumber(member)}`,
+    number: jidToNumber(member),
+    group: meta?.subject || "this group",
+    desc: meta?.desc?.toString().trim() || "",
+    count: meta?.participants?.length ?? "?",
+    author: author ? `@${jidToNumber(author)}` : "an admin"
+  }).trim();
+  const mentions = [member, author].filter(Boolean);
+
+  if (greeting.picture) {
+    const picture =
+      (await sock.profilePictureUrl(member, "image").catch(() => null)) ||
+      (await sock.profilePictureUrl(chatId, "image").catch(() => null));
+    if (picture) return { image: { url: picture }, caption: text, mentions, contextInfo: { ...globalContextInfo, mentionedJid: mentions } };
+  }
+  return { text, mentions, contextInfo: { ...globalContextInfo, mentionedJid: mentions } };
+}
+
+// participants arrive as jids on older Baileys and as { id, phoneNumber } objects on newer ones
+function participantJid(p) {
+  return typeof p === "string" ? p : p?.phoneNumber || p?.id;
+}
+
+export async function handleParticipantsUpdate(sock, { id: chatId, participants = [], action, author }) {
+  const type = ACTIONS[action];
+  if (!type || !getGreeting(chatId, type).enabled) return;
+
+  const botJid = safeGetUserJid(sock);
+  for (const participant of participants) {
+    const member = participantJid(participant);
+    if (!member || jidToNumber(member) === jidToNumber(botJid)) continue;
+    try {
+      await sock.sendMessage(chatId, await buildGreeting(sock, chatId, type, member, author));
+    } catch (err) {
+      log.warn(`Failed to send ${type} in ${chatId}: ${err.message}`);
+    }
+  }
+}
@@ -0,0 +1,39 @@
+// lib/group.js
+import { jidToNumber } from "./utils.js";
+
+// a member can be reported by LID, phone jid or bare phone number depending on the group
+function participantIds(p) {
+  return [p.id, p.jid, p.phoneNumber].filter(Boolean);
+}
+
+export function findParticipant(meta, jid) {
+  const number = jidToNumber(jid);
+  if (!number) return null;
+  return (meta?.participants || []).find((p) => participantIds(p).some((id) => jidToNumber(id) === number)) || null;
+}
+
+export function sameUser(a, b) {
+  const na = jidToNumber(a);
+  return !!na && na === jidToNumber(b);
+}
+
+/**
+ * The users a group command points at: mentioned users, the author of the
+ * quoted message and any phone numbers typed as arguments (7-15 digits).
+ */
+export function resolveTargets(m, args = []) {
+  const targets = [...(m.mentions || [])];
+  if (m.quoted?.sender) targets.push(m.quoted.sender);
+  for (const arg of args) {
+    const digits = arg.replace(/[^0-9]/g, "");
+    if (digits.length >= 7 && digits.length <= 15) targets.push(`${digits}@s.whatsapp.net`);
+  }
+
+  const seen = new Set();
+  return targets.filter((jid) => {
+    const number = jidToNumber(jid);
+    if (!number || seen.has(number)) return false;
+    seen.add(number);
+    return true;
+  });
+}
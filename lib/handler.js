@@ -1,83 +1,576 @@
+import pkg from "@whiskeysockets/baileys";
 import fs from "fs";
 import path from "path";
-import { globalContextInfo } from "../config.js";
+import { config, globalContextInfo } from "../config.js";
+import { jidToNumber, safeGetUserJid } from "./utils.js";
+import { resolvePrefix } from "./prefix.js";
+import { db, getChat, getSettings, getUser, readChat } from "./database.js";
+import { checkCooldown, checkFlood, recordUsage } from "./cooldown.js";
+import { moderateMessage } from "./moderation.js";
+import { createLogger } from "./logger.js";
+import { defineCounter, incCounter } from "./metrics.js";
+
+const log = createLogger("handler");
+
+defineCounter("silva_command_invocations_total", "Commands run, by command");
+defineCounter("silva_command_errors_total", "Commands that failed (threw, called fail() or timed out), by command");
+
+const { getContentType, downloadContentFromMessage, jidNormalizedUser } = pkg;
 
 const __dirname = path.resolve();
+const pluginDir = path.join(process.cwd(), "plugins");
 const plugins = new Map();
+const commandIndex = new Map();
+const commandConflicts = new Map();
+const failedPlugins = new Map();
+
+const WATCH_DEBOUNCE_MS = 300;
+const MAX_SUGGESTION_DISTANCE = 2;
+let pluginWatcher = null;
+
+const GROUP_META_TTL_MS = 60_000;
+const groupMetaCache = new Map();
+
+// standard replies when a plugin's metadata rejects the caller
+export const REFUSALS = {
+  owner: "🔒 This command is reserved for the bot owner.",
+  private: "💬 This command can only be used in private chat.",
+  group: "👥 This command can only be used in groups.",
+  admin: "🛡️ This command is for group admins only.",
+  botAdmin: "🤖 Make me a group admin first, then try again."
+};
+
+export function getPlugins() {
+  return plugins;
+}
+
+export function findPlugin(command) {
+  return commandIndex.get(command)?.plugin || null;
+}
+
+// one child logger per plugin file, handed to the plugin as ctx.logger
+const pluginLoggers = new Map();
+function pluginLogger(file) {
+  if (!pluginLoggers.has(file)) pluginLoggers.set(file, log.child(file.replace(/\.js$/, "")));
+  return pluginLoggers.get(file);
+}
+
+export function getCommandConflicts() {
+  return commandConflicts;
+}
+
+/**
+ * Rebuilds the command -> plugin index from the loaded plugins. Files are
+ * indexed in name order, so when two plugins claim the same command or alias
+ * the first file keeps it and the clash is recorded in commandConflicts.
+ */
+function rebuildCommandIndex() {
+  commandIndex.clear();
+  commandConflicts.clear();
+
+  for (const file of [...plugins.keys()].sort()) {
+    const plugin = plugins.get(file);
+    const commands = Array.isArray(plugin.command) ? plugin.command : [plugin.command];
+
+    for (const raw of commands) {
+      const command = String(raw).toLowerCase();
+      const existing = commandIndex.get(command);
+      if (existing && existing.file !== file) {
+        const files = commandConflicts.get(command) || [existing.file];
+        files.push(file);
+        commandConflicts.set(command, files);
+        continue;
+      }
+      commandIndex.set(command, { file, plugin });
+    }
+  }
+
+  for (const [command, files] of commandConflicts) {
+    log.warn(`Command "${command}" is claimed by ${files.join(", ")} — using ${files[0]}`);
+  }
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = tmp;
+    }
+  }
+  return row[b.length];
+}
+
+// closest indexed command to an unknown one, or null when nothing is close enough
+export function suggestCommand(command) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const name of commandIndex.keys()) {
+    if (isCommandDisabled(name)) continue;
+    const distance = editDistance(command, name);
+    if (distance < bestDistance) {
+      best = name;
+      bestDistance = distance;
+    }
+  }
+  return bestDistance <= Math.min(MAX_SUGGESTION_DISTANCE, Math.ceil(command.length / 2)) ? best : null;
+}
+
+export function setSuggestions(chatId, enabled) {
+  getChat(chatId).suggestions = !!enabled;
+}
+
+export function suggestionsEnabled(chatId) {
+  return readChat(chatId).suggestions !== false;
+}
+
+export function getFailedPlugins() {
+  return failedPlugins;
+}
+
+// imports a fresh copy of a plugin file; null when it has no command metadata
+async function importPlugin(file) {
+  const pluginPath = path.join(pluginDir, file);
+  const pluginUrl = `file://${pluginPath}`;
+  const module = await import(`${pluginUrl}?update=${Date.now()}`);
+  const plugin = module.default;
+
+  // plugin should be a function with attached metadata properties
+  return plugin && plugin.command ? plugin : null;
+}
+
+/**
+ * (Re)imports a single plugin file. Returns true when the plugin was loaded;
+ * failures are kept in failedPlugins so the owner can inspect them.
+ */
+export async function loadPlugin(file) {
+  try {
+    const plugin = await importPlugin(file);
+    if (plugin) {
+      // store by filename key (or by command list) — we just keep the function
+      plugins.set(file, plugin);
+      failedPlugins.delete(file);
+      rebuildCommandIndex();
+      log.info(`Loaded ${file}`);
+      return true;
+    }
+
+    if (plugins.delete(file)) rebuildCommandIndex();
+    log.info(`Skipped ${file} (no command metadata)`);
+  } catch (err) {
+    // keep the previously loaded version running if the new one is broken
+    failedPlugins.set(file, err.message);
+    log.error(`Failed to load ${file}: ${err.message}`);
+  }
+  return false;
+}
+
+export function unloadPlugin(file) {
+  failedPlugins.delete(file);
+  if (!plugins.delete(file)) return false;
+  rebuildCommandIndex();
+  log.info(`Unloaded ${file}`);
+  return true;
+}
 
 export async function loadPlugins() {
   try {
-    const pluginDir = path.join(process.cwd(), "plugins");
     const files = fs.readdirSync(pluginDir).filter((f) => f.endsWith(".js"));
-    plugins.clear();
+    failedPlugins.clear();
 
+    // import everything before touching the live set, so a broken file keeps
+    // its last good version and commands keep working during the reload
+    const next = new Map();
     for (const file of files) {
       try {
-        const pluginPath = path.join(pluginDir, file);
-        const pluginUrl = `file://${pluginPath}`;
-        const module = await import(`${pluginUrl}?update=${Date.now()}`);
-        const plugin = module.default;
-
-        // plugin should be a function with attached metadata properties
-        if (plugin && plugin.command) {
-          // store by filename key (or by command list) — we just keep the function
-          plugins.set(file, plugin);
-          console.log(`[PLUGIN] Loaded ${file}`);
-        } else {
-          console.log(`[PLUGIN] Skipped ${file} (no command metadata)`);
+        const plugin = await importPlugin(file);
+        if (!plugin) {
+          log.info(`Skipped ${file} (no command metadata)`);
+          continue;
         }
+        next.set(file, plugin);
+        log.info(`Loaded ${file}`);
       } catch (err) {
-        console.error(`[PLUGIN ERROR] Failed to load ${file}: ${err.message}`);
+        failedPlugins.set(file, err.message);
+        log.error(`Failed to load ${file}: ${err.message}`);
+        if (plugins.has(file)) next.set(file, plugins.get(file));
       }
     }
 
-    console.log(`[INFO] Total plugins loaded: ${plugins.size}`);
+    plugins.clear();
+    for (const [file, plugin] of next) plugins.set(file, plugin);
+    rebuildCommandIndex();
+
+    log.info(`Total plugins loaded: ${plugins.size}`);
   } catch (err) {
-    console.error("[ERROR] Failed to load plugins:", err);
+    log.error("Failed to load plugins:", err);
   }
 }
 
-export async function handleMessage(sock, m) {
+// Watches the plugins directory and loads/unloads files one at a time as they change.
+export function watchPlugins() {
+  if (pluginWatcher) return pluginWatcher;
+
+  const pending = new Map();
   try {
-    const text =
-      m.message?.conversation ||
-      m.message?.extendedTextMessage?.text ||
-      m.message?.imageMessage?.caption ||
-      "";
+    pluginWatcher = fs.watch(pluginDir, (event, file) => {
+      if (!file || !file.endsWith(".js")) return;
+
+      clearTimeout(pending.get(file));
+      pending.set(
+        file,
+        setTimeout(() => {
+          pending.delete(file);
+          if (fs.existsSync(path.join(pluginDir, file))) loadPlugin(file);
+          else unloadPlugin(file);
+        }, WATCH_DEBOUNCE_MS)
+      );
+    });
+    pluginWatcher.on("error", (err) => {
+      log.error(`Watcher error: ${err.message}`);
+      pluginWatcher?.close();
+      pluginWatcher = null;
+    });
+    log.info("Watching plugins directory for changes");
+  } catch (err) {
+    log.error(`Could not watch plugins directory: ${err.message}`);
+  }
+  return pluginWatcher;
+}
+
+export function disableCommand(command) {
+  const { disabledCommands } = getSettings();
+  if (!disabledCommands.includes(command)) disabledCommands.push(command);
+}
+
+export function enableCommand(command) {
+  const { disabledCommands } = getSettings();
+  const index = disabledCommands.indexOf(command);
+  if (index === -1) return false;
+  disabledCommands.splice(index, 1);
+  return true;
+}
+
+export function getDisabledCommands() {
+  return getSettings().disabledCommands;
+}
+
+/**
+ * A command together with its aliases. Plugins list aliases as
+ * `handler.aliases = { alias: "command" }`; commands without an entry stand alone.
+ */
+export function commandFamily(plugin, command) {
+  const main = plugin?.aliases?.[command] || command;
+  const aliases = Object.entries(plugin?.aliases || {}).filter(([, target]) => target === main);
+  return [main, ...aliases.map(([alias]) => alias)];
+}
+
+// only the invoked command (and its aliases) counts, not the plugin's other commands
+export function isCommandDisabled(command) {
+  const plugin = commandIndex.get(command)?.plugin;
+  const { disabledCommands } = getSettings();
+  return commandFamily(plugin, command).some((c) => disabledCommands.includes(c));
+}
+
+export function isOwner(sock, jid) {
+  const number = jidToNumber(jid);
+  if (!number) return false;
+  if (number === jidToNumber(safeGetUserJid(sock))) return true;
+  return config.OWNER_NUMBER.some((o) => jidToNumber(o) === number);
+}
+
+export async function getGroupMetadata(sock, chatId) {
+  const cached = groupMetaCache.get(chatId);
+  if (cached && Date.now() - cached.at < GROUP_META_TTL_MS) return cached.data;
+
+  const data = await sock.groupMetadata(chatId);
+  groupMetaCache.set(chatId, { data, at: Date.now() });
+  return data;
+}
+
+// drop cached metadata after the group itself changed (members, admins, subject...)
+export function invalidateGroupMetadata(chatId) {
+  groupMetaCache.delete(chatId);
+}
+
+export async function isGroupAdmin(sock, chatId, jid) {
+  const number = jidToNumber(jid);
+  if (!number) return false;
+  const meta = await getGroupMetadata(sock, chatId);
+  return (meta?.participants || []).some(
+    (p) =>
+      p.admin &&
+      [p.id, p.jid, p.phoneNumber].some((id) => id && jidToNumber(id) === number)
+  );
+}
+
+/**
+ * Checks a plugin's `owner`, `private`, `group`, `admin` and `botAdmin`
+ * metadata against the caller. Resolves to null when allowed, or to the
+ * REFUSALS key of the first check that failed.
+ */
+export async function checkPermissions(sock, plugin, { chatId, sender }) {
+  const isGroup = chatId.endsWith("@g.us");
+
+  if (plugin.owner && !isOwner(sock, sender)) return "owner";
+  if (plugin.private && isGroup) return "private";
+  if (plugin.group && !isGroup) return "group";
+
+  if (plugin.admin || plugin.botAdmin) {
+    if (!isGroup) return "group";
+    try {
+      if (plugin.admin && !isOwner(sock, sender) && !(await isGroupAdmin(sock, chatId, sender)))
+        return "admin";
+      if (plugin.botAdmin && !(await isGroupAdmin(sock, chatId, safeGetUserJid(sock))))
+        return "botAdmin";
+    } catch (err) {
+      log.error(`Failed to fetch group metadata: ${err.message}`);
+      return plugin.admin ? "admin" : "botAdmin";
+    }
+  }
+
+  return null;
+}
+
+// wrappers whose real content sits one level deeper
+const WRAPPER_TYPES = [
+  "ephemeralMessage",
+  "viewOnceMessage",
+  "viewOnceMessageV2",
+  "viewOnceMessageV2Extension",
+  "documentWithCaptionMessage",
+  "editedMessage"
+];
+
+export function unwrapMessage(message) {
+  let msg = message;
+  for (let i = 0; msg && i < 5; i++) {
+    const wrapper = WRAPPER_TYPES.find((w) => msg[w]?.message);
+    if (!wrapper) break;
+    msg = msg[wrapper].message;
+  }
+  return msg || null;
+}
+
+export function getMessageText(message) {
+  const msg = unwrapMessage(message);
+  if (!msg) return "";
+  return (
+    msg.conversation ||
+    msg.extendedTextMessage?.text ||
+    msg.imageMessage?.caption ||
+    msg.videoMessage?.caption ||
+    msg.documentMessage?.caption ||
+    msg.buttonsResponseMessage?.selectedButtonId ||
+    msg.listResponseMessage?.singleSelectReply?.selectedRowId ||
+    msg.templateButtonReplyMessage?.selectedId ||
+    ""
+  );
+}
+
+async function downloadMessageMedia(msg, type) {
+  if (!msg || !/image|video|audio|sticker|document/.test(type || "")) return null;
+  const stream = await downloadContentFromMessage(msg, type.replace("Message", ""));
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Wraps a raw Baileys message with the fields and helpers every plugin needs:
+ * chat, sender, isGroup, fromMe, pushName, text, type, mentions, quoted,
+ * reply(), react() and download().
+ */
+export function serialize(sock, m) {
+  if (!m?.key) return m;
+
+  m.id = m.key.id;
+  m.chat = m.key.remoteJid;
+  m.fromMe = !!m.key.fromMe;
+  m.isGroup = m.chat?.endsWith("@g.us") || false;
+  m.sender = m.fromMe
+    ? safeGetUserJid(sock)
+    : jidNormalizedUser(m.key.participant || m.participant || m.chat);
+  m.pushName = m.pushName || "";
+
+  const message = unwrapMessage(m.message);
+  m.type = message ? getContentType(message) : null;
+  m.msg = m.type ? message[m.type] : null;
+  m.text = getMessageText(m.message);
+
+  const context = m.msg?.contextInfo || {};
+  m.mentions = context.mentionedJid || [];
+
+  m.quoted = null;
+  if (context.quotedMessage) {
+    const qMessage = unwrapMessage(context.quotedMessage);
+    const qType = getContentType(qMessage);
+    const qSender = jidNormalizedUser(context.participant || m.chat);
+    m.quoted = {
+      key: {
+        remoteJid: m.chat,
+        id: context.stanzaId,
+        fromMe: qSender === safeGetUserJid(sock),
+        participant: m.isGroup ? qSender : undefined
+      },
+      id: context.stanzaId,
+      chat: m.chat,
+      sender: qSender,
+      fromMe: qSender === safeGetUserJid(sock),
+      message: qMessage,
+      type: qType,
+      msg: qType ? qMessage[qType] : null,
+      text: getMessageText(qMessage),
+      mentions: qMessage?.[qType]?.contextInfo?.mentionedJid || [],
+      download: () => downloadMessageMedia(qMessage?.[qType], qType)
+    };
+  }
+
+  m.reply = (content, options = {}) =>
+    sock.sendMessage(
+      m.chat,
+      typeof content === "string"
+        ? { text: content, contextInfo: globalContextInfo }
+        : { contextInfo: globalContextInfo, ...content },
+      { quoted: m, ...options }
+    );
+  m.react = (emoji) => sock.sendMessage(m.chat, { react: { text: emoji, key: m.key } });
+  m.download = () => downloadMessageMedia(m.msg, m.type);
+
+  return m;
+}
+
+export async function handleMessage(sock, raw) {
+  try {
+    const m = serialize(sock, raw);
+    if (m.isGroup && (await moderateMessage(sock, m))) return;
+
+    const text = m.text;
     if (!text) return;
 
-    const prefix = text.startsWith("!") ? "!" : text.startsWith(".") ? "." : "";
-    if (!prefix) return;
+    const resolved = resolvePrefix(sock, m);
+    if (!resolved) return;
+    const { prefix, body, implicit } = resolved;
 
-    const [cmd, ...rest] = text.slice(prefix.length).trim().split(/\s+/);
+    const [cmd, ...rest] = body.trim().split(/\s+/);
     const command = cmd.toLowerCase();
 
-    // find plugin that handles this command
-    let plugin = null;
-    for (const p of plugins.values()) {
-      if (Array.isArray(p.command) && p.command.includes(command)) {
-        plugin = p;
-        break;
+    const entry = commandIndex.get(command);
+    const plugin = entry?.plugin || null;
+    if (!plugin && (implicit || !command)) return;
+
+    const senderIsOwner = isOwner(sock, m.sender);
+    if (!senderIsOwner) {
+      const flooded = checkFlood(m.sender);
+      if (flooded) {
+        if (flooded.notify) await m.reply(flooded.message);
+        return;
       }
-      // also support single string
-      if (typeof p.command === "string" && p.command === command) {
-        plugin = p;
-        break;
+    }
+
+    if (!plugin) {
+      const suggestion = suggestionsEnabled(m.chat) ? suggestCommand(command) : null;
+      if (suggestion) await m.reply(`❓ Unknown command. Did you mean *${prefix}${suggestion}*?`);
+      return;
+    }
+
+    if (isCommandDisabled(command)) {
+      await m.reply(`⛔ *${prefix}${command}* is currently disabled.`);
+      return;
+    }
+
+    const refusal = await checkPermissions(sock, plugin, { chatId: m.chat, sender: m.sender });
+    if (refusal) {
+      await m.reply(REFUSALS[refusal]);
+      return;
+    }
+
+    // cooldowns and daily limits are tracked per plugin, not per alias
+    const usageKey = Array.isArray(plugin.command) ? plugin.command[0] : plugin.command;
+    let refund = () => {};
+    if (!senderIsOwner) {
+      const limited = checkCooldown(plugin, m.sender, usageKey);
+      if (limited) {
+        if (limited.notify) await m.reply(limited.message);
+        return;
       }
+      refund = recordUsage(plugin, m.sender, usageKey);
     }
 
-    if (!plugin) return;
+    incCounter("silva_command_invocations_total", { command: usageKey });
 
-    // Call plugin and pass useful context, including globalContextInfo
-    await plugin(m, {
-      conn: sock,
-      args: rest,
-      text: rest.join(" "),
-      command,
-      prefix,
-      globalContextInfo
+    const user = getUser(m.sender);
+    user.name = m.pushName || user.name;
+    user.commands++;
+    user.lastSeen = Date.now();
+
+    // plugins that catch an error and reply themselves call fail(); such a run
+    // is counted as an error and not charged against cooldowns or limits
+    let failed = false;
+    const fail = () => (failed = true);
+    const logger = pluginLogger(entry.file);
+
+    // a hung plugin must not stall its chat forever: stop waiting after the
+    // timeout and signal the plugin so it can abort its own work. Only this
+    // handler replies on timeout; plugins rethrow once their signal has fired
+    const timeoutMs = (plugin.timeout || config.COMMAND_TIMEOUT_SECONDS) * 1000;
+    const controller = new AbortController();
+    let timer;
+    const timedOut = new Promise((resolve) => {
+      timer = setTimeout(() => {
+        controller.abort(new Error("Command timed out"));
+        resolve(true);
+      }, timeoutMs);
     });
+
+    // Call plugin and pass useful context, including globalContextInfo
+    const run = Promise.resolve()
+      .then(() =>
+        plugin(m, {
+          conn: sock,
+          args: rest,
+          text: rest.join(" "),
+          command,
+          prefix,
+          isOwner: senderIsOwner,
+          db,
+          logger,
+          signal: controller.signal,
+          // call when the run shouldn't count, e.g. it only replied with usage help
+          refund,
+          fail,
+          globalContextInfo
+        })
+      )
+      .then(() => false);
+
+    let expired;
+    try {
+      expired = await Promise.race([run, timedOut]);
+    } catch (err) {
+      refund();
+      incCounter("silva_command_errors_total", { command: usageKey });
+      throw err;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (expired || failed) refund();
+    if (failed && !expired) incCounter("silva_command_errors_total", { command: usageKey });
+    if (expired) {
+      incCounter("silva_command_errors_total", { command: usageKey });
+      logger.error(`${command} timed out after ${timeoutMs / 1000}s`);
+      run.catch((err) => {
+        // the abort the timeout itself caused is expected, anything else is worth logging
+        const aborted = err === controller.signal.reason || ["AbortError", "CanceledError"].includes(err?.name);
+        if (!aborted) logger.error(`${command} failed after timing out:`, err);
+      });
+      await m.reply(`⌛ *${prefix}${command}* took too long and was stopped. Please try again.`);
+    }
   } catch (err) {
-    console.error("[PLUGIN ERROR]:", err);
+    log.error("Message handling failed:", err);
   }
 }
@@ -0,0 +1,125 @@
+// lib/logger.js
+import chalk from "chalk";
+import fs from "fs";
+import path from "path";
+import util from "util";
+import { config } from "../config.js";
+
+export const LEVELS = { trace: 10, debug: 20, info: 30, warn: 40, error: 50, fatal: 60 };
+
+const COLORS = {
+  trace: chalk.gray,
+  debug: chalk.gray,
+  info: chalk.cyan,
+  warn: chalk.yellow,
+  error: chalk.red,
+  fatal: chalk.bgRed.white
+};
+
+const RECENT_MAX = 1000;
+const MB = 1024 * 1024;
+
+// recent lines kept in memory for the owner `logs` command
+const recent = [];
+// last emitted line, used to fold identical repeats into one "repeated N times" line
+let last = null;
+let fileSize = null;
+
+function formatArgs(level, args) {
+  return args
+    .map((a) => {
+      if (a instanceof Error) return LEVELS[level] >= LEVELS.error ? a.stack || a.message : a.message;
+      if (typeof a === "string") return a;
+      return util.inspect(a, { depth: 3, breakLength: Infinity });
+    })
+    .join(" ");
+}
+
+function rotate(file) {
+  for (let i = config.LOG_MAX_FILES - 1; i >= 1; i--) {
+    const from = i === 1 ? file : `${file}.${i - 1}`;
+    if (fs.existsSync(from)) fs.renameSync(from, `${file}.${i}`);
+  }
+  fileSize = 0;
+}
+
+function writeFile(entry) {
+  if (!config.LOG_FILE) return;
+  const file = path.resolve(config.LOG_FILE);
+  try {
+    if (fileSize === null) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fileSize = fs.existsSync(file) ? fs.statSync(file).size : 0;
+    }
+    const line = `${JSON.stringify(entry)}\n`;
+    if (fileSize + line.length > config.LOG_MAX_MB * MB) rotate(file);
+    fs.appendFileSync(file, line);
+    fileSize += Buffer.byteLength(line);
+  } catch (err) {
+    process.stderr.write(`[logger] Failed to write ${file}: ${err.message}\n`);
+  }
+}
+
+function emit(entry) {
+  recent.push(entry);
+  if (recent.length > RECENT_MAX) recent.shift();
+
+  const time = new Date(entry.time).toISOString().slice(11, 19);
+  const color = COLORS[entry.level] || ((t) => t);
+  const line = `${chalk.gray(time)} ${color(`[${entry.level.toUpperCase()}]`)} ${chalk.magenta(`(${entry.module})`)} ${entry.msg}`;
+  (LEVELS[entry.level] >= LEVELS.warn ? console.error : console.log)(line);
+  writeFile(entry);
+}
+
+function flushRepeats() {
+  clearTimeout(last?.timer);
+  if (last?.repeats) {
+    emit({ ...last.entry, time: Date.now(), msg: `${last.entry.msg} (repeated ${last.repeats} more times)` });
+  }
+  last = null;
+}
+
+function log(module, level, args) {
+  if (LEVELS[level] < (LEVELS[config.LOG_LEVEL] ?? LEVELS.info)) return;
+
+  const entry = { time: Date.now(), level, module, msg: formatArgs(level, args) };
+  const now = entry.time;
+
+  // only *identical* lines are folded; different messages always get through
+  const repeated =
+    last &&
+    last.entry.level === level &&
+    last.entry.module === module &&
+    last.entry.msg === entry.msg &&
+    now - last.at < config.LOG_DEDUP_MS;
+  if (repeated) {
+    last.repeats++;
+    last.at = now;
+    if (!last.timer) last.timer = setTimeout(flushRepeats, config.LOG_DEDUP_MS).unref();
+    return;
+  }
+
+  flushRepeats();
+  emit(entry);
+  last = { entry, at: now, repeats: 0 };
+}
+
+/**
+ * Creates a logger bound to a module/subsystem name. Children extend the name:
+ * createLogger("plugin").child("music") logs as "plugin:music".
+ */
+export function createLogger(module) {
+  const logger = { module };
+  for (const level of Object.keys(LEVELS)) logger[level] = (...args) => log(module, level, args);
+  logger.child = (name) => createLogger(`${module}:${name}`);
+  return logger;
+}
+
+// newest last; filtered by minimum level when one is given
+export function getRecentLogs(count = 20, level) {
+  flushRepeats();
+  const min = level ? LEVELS[level] : 0;
+  return recent.filter((e) => LEVELS[e.level] >= min).slice(-count);
+}
+
+export const logger = createLogger("silva");
@@ -0,0 +1,221 @@
+// lib/media.js
+import axios from "axios";
+import { execFile } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { pipeline } from "stream/promises";
+import { Transform } from "stream";
+import { promisify } from "util";
+import { config, globalContextInfo } from "../config.js";
+import { readChat } from "./database.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("media");
+
+export const TEMP_DIR = path.join(os.tmpdir(), "silva-md");
+export const MEDIA_KINDS = ["auto", "video", "audio", "voice", "document"];
+
+const PROGRESS_STEP_PERCENT = 25;
+const MB = 1024 * 1024;
+const FFMPEG_TIMEOUT_MS = 120_000;
+const VOICE_MIMETYPE = "audio/ogg; codecs=opus";
+
+const execFileAsync = promisify(execFile);
+let ffmpegMissing = false;
+
+// callers check err.code to retry smaller (e.g. a lower video quality)
+function tooLarge(message) {
+  const err = new Error(message);
+  err.code = "E_TOO_LARGE";
+  return err;
+}
+
+const EXTENSIONS = {
+  "video/mp4": "mp4",
+  "audio/mpeg": "mp3",
+  "audio/mp4": "m4a",
+  "audio/ogg": "ogg",
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp"
+};
+
+// removes leftovers from previous runs (crashes, restarts mid-download)
+export function cleanupTempFiles() {
+  try {
+    if (!fs.existsSync(TEMP_DIR)) return 0;
+    const files = fs.readdirSync(TEMP_DIR);
+    for (const file of files) fs.rmSync(path.join(TEMP_DIR, file), { force: true, recursive: true });
+    if (files.length) log.info(`Removed ${files.length} stale temp file(s)`);
+    return files.length;
+  } catch (err) {
+    log.error(`Temp cleanup failed: ${err.message}`);
+    return 0;
+  }
+}
+
+export function tempPath(ext = "tmp") {
+  fs.mkdirSync(TEMP_DIR, { recursive: true });
+  return path.join(TEMP_DIR, `${Date.now()}_${Math.random().toString(36).slice(2, 8)}.${ext}`);
+}
+
+/**
+ * Streams `url` into a temp file, enforcing a byte limit and an optional
+ * content-type allow list (prefix match, e.g. ["video/", "audio/mpeg"]).
+ * The partial file is removed on any failure; on success the caller owns the
+ * file and must call `cleanup()` once done with it.
+ */
+export async function downloadToTemp(url, { maxBytes = config.MEDIA_MAX_MB * MB, allowedTypes, onProgress, signal, timeout = 60_000 } = {}) {
+  const res = await axios.get(url, { responseType: "stream", timeout, signal, maxRedirects: 5 });
+  const contentType = String(res.headers["content-type"] || "").split(";")[0].trim();
+  const total = Number(res.headers["content-length"]) || 0;
+
+  if (allowedTypes?.length && !allowedTypes.some((t) => contentType.startsWith(t))) {
+    res.data.destroy();
+    throw new Error(`Unexpected content type: ${contentType || "unknown"}`);
+  }
+  if (total > maxBytes) {
+    res.data.destroy();
+    throw tooLarge(`File too large (${(total / MB).toFixed(1)} MB, limit ${(maxBytes / MB).toFixed(0)} MB)`);
+  }
+
+  const file = tempPath(EXTENSIONS[contentType] || "bin");
+  let received = 0;
+  let nextReport = PROGRESS_STEP_PERCENT;
+
+  const meter = new Transform({
+    transform(chunk, _enc, callback) {
+      received += chunk.length;
+      if (received > maxBytes) {
+        callback(tooLarge(`File too large (over ${(maxBytes / MB).toFixed(0)} MB)`));
+        return;
+      }
+      if (onProgress && total) {
+        const percent = Math.floor((received / total) * 100);
+        if (percent >= nextReport) {
+          nextReport = percent - (percent % PROGRESS_STEP_PERCENT) + PROGRESS_STEP_PERCENT;
+          Promise.resolve(onProgress({ received, total, percent })).catch(() => {});
+        }
+      }
+      callback(null, chunk);
+    }
+  });
+
+  try {
+    await pipeline(res.data, meter, fs.createWriteStream(file));
+  } catch (err) {
+    fs.rmSync(file, { force: true });
+    throw err;
+  }
+
+  return {
+    file,
+    size: received,
+    contentType,
+    cleanup: () => fs.rmSync(file, { force: true })
+  };
+}
+
+/**
+ * The kind asked for explicitly, else the chat's preference, else what suits
+ * the file. Kinds outside `allowed` (e.g. "video" for an mp3) are ignored, and
+ * anything over the document threshold always goes as a document.
+ */
+export function pickMediaKind({ requested, chatId, fallback, allowed = MEDIA_KINDS, size = 0 }) {
+  if (size > config.MEDIA_DOCUMENT_THRESHOLD_MB * MB) return "document";
+  if (requested && allowed.includes(requested)) return requested;
+  const preferred = chatId ? readChat(chatId).mediaMode : "auto";
+  if (preferred && allowed.includes(preferred)) return preferred;
+  return fallback;
+}
+
+/**
+ * Transcodes audio to ogg/opus, the only format WhatsApp plays as a voice
+ * note. Resolves with a temp file the caller must remove, or null when ffmpeg
+ * is not installed or the conversion fails.
+ */
+export async function toVoiceNote(source) {
+  if (ffmpegMissing) return null;
+  const input = Buffer.isBuffer(source) ? tempPath("bin") : source;
+  const output = tempPath("ogg");
+
+  try {
+    if (input !== source) fs.writeFileSync(input, source);
+    await execFileAsync("ffmpeg", ["-y", "-i", input, "-vn", "-c:a", "libopus", "-b:a", "64k", "-ac", "1", "-ar", "48000", output], {
+      timeout: FFMPEG_TIMEOUT_MS
+    });
+    return output;
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      ffmpegMissing = true;
+      log.warn("ffmpeg not found — voice notes are sent as regular audio");
+    } else log.warn(`Voice note conversion failed: ${err.message}`);
+    fs.rmSync(output, { force: true });
+    return null;
+  } finally {
+    if (input !== source) fs.rmSync(input, { force: true });
+  }
+}
+
+/**
+ * Sends a file (path or Buffer) as video, audio, voice note or document.
+ * Paths are streamed by Baileys rather than read into memory. Voice notes
+ * that aren't opus yet are transcoded, or sent as plain audio without ffmpeg.
+ */
+export async function sendMedia(conn, chatId, { source, kind, mimetype, fileName, caption, contextInfo = globalContextInfo, quoted }) {
+  let converted = null;
+  if (kind === "voice" && !/opus/.test(mimetype || "")) {
+    converted = await toVoiceNote(source);
+    if (converted) {
+      source = converted;
+      mimetype = VOICE_MIMETYPE;
+    } else kind = "audio";
+  }
+
+  const media = Buffer.isBuffer(source) ? source : { url: source };
+  let content;
+
+  switch (kind) {
+    case "video":
+      content = { video: media, mimetype: mimetype || "video/mp4", caption };
+      break;
+    case "audio":
+      content = { audio: media, mimetype: mimetype || "audio/mpeg" };
+      break;
+    case "voice":
+      content = { audio: media, mimetype: mimetype || VOICE_MIMETYPE, ptt: true };
+      break;
+    default:
+      content = { document: media, mimetype: mimetype || "application/octet-stream", fileName, caption };
+  }
+
+  try {
+    return await conn.sendMessage(chatId, { ...content, contextInfo }, quoted ? { quoted } : {});
+  } finally {
+    if (converted) fs.rmSync(converted, { force: true });
+  }
+}
+
+// pulls "--doc", "--voice", "--audio" or "--video" out of a plugin's args
+export function takeMediaFlag(args) {
+  const flags = { "--doc": "document", "--document": "document", "--voice": "voice", "--audio": "audio", "--video": "video" };
+  let kind = null;
+  const rest = args.filter((a) => {
+    const match = flags[a.toLowerCase()];
+    if (match) kind = match;
+    return !match;
+  });
+  return { kind, args: rest };
+}
+
+/**
+ * Catch-block reply for download plugins. Once the command has timed out the
+ * error is rethrown instead, since the handler has already told the user.
+ */
+export async function replyDownloadError(m, error, text, { signal, fail, logger }) {
+  if (signal.aborted) throw error;
+  fail();
+  logger.error("Download failed:", error.message);
+  await m.reply(text);
+}
@@ -0,0 +1,236 @@
+// lib/messageStore.js
+import pkg from "@whiskeysockets/baileys";
+import fs from "fs";
+import path from "path";
+import { config } from "../config.js";
+import { createLogger } from "./logger.js";
+import { defineGauge } from "./metrics.js";
+
+const log = createLogger("store");
+
+const { BufferJSON } = pkg;
+
+const storeFile = path.resolve(config.MESSAGE_STORE_FILE);
+const WRITE_DELAY_MS = 1000;
+const NEWLINE = Buffer.from("\n");
+
+// key -> { offset, length, at }; the messages themselves stay on disk
+const index = new Map();
+let fileSize = 0;
+let deadEntries = 0;
+
+// write-behind: new lines wait here (offset -> Buffer) until written in the background.
+// Every line has a fixed offset, so writing one twice is harmless.
+const unwritten = new Map();
+let pending = [];
+let writing = null;
+let writeTimer = null;
+// bumped by compact(); a background write from before it must not touch the new file's state
+let generation = 0;
+
+function openFlags() {
+  fs.mkdirSync(path.dirname(storeFile), { recursive: true });
+  return fs.existsSync(storeFile) ? "r+" : "w+";
+}
+
+function joinLines(batch) {
+  return Buffer.concat(batch.flatMap(({ data }) => [data, NEWLINE]));
+}
+
+async function writePending() {
+  writeTimer = null;
+  if (writing || !pending.length) return;
+
+  const batch = pending;
+  const started = generation;
+  writing = batch;
+  pending = [];
+
+  let handle = null;
+  try {
+    const data = joinLines(batch);
+    handle = await fs.promises.open(storeFile, openFlags());
+    await handle.write(data, 0, data.length, batch[0].offset);
+    if (started !== generation) return;
+    for (const { offset } of batch) unwritten.delete(offset);
+  } catch (err) {
+    if (started !== generation) return;
+    // keep the lines and try again with the next batch
+    log.error(`Failed to save messages: ${err.message}`);
+    pending = batch.concat(pending);
+  } finally {
+    await handle?.close().catch(() => {});
+    if (started === generation) {
+      writing = null;
+      if (pending.length) scheduleWrite();
+    }
+  }
+}
+
+function scheduleWrite() {
+  if (writeTimer) return;
+  writeTimer = setTimeout(writePending, WRITE_DELAY_MS);
+  writeTimer.unref();
+}
+
+// writes everything still in memory right away; used on exit and before compaction
+export function flushMessages() {
+  const lines = [...(writing || []), ...pending];
+  if (!lines.length) return;
+  let fd = null;
+  try {
+    const data = joinLines(lines);
+    fd = fs.openSync(storeFile, openFlags());
+    fs.writeSync(fd, data, 0, data.length, lines[0].offset);
+    unwritten.clear();
+    pending = [];
+  } catch (err) {
+    log.error(`Failed to save messages: ${err.message}`);
+  } finally {
+    if (fd !== null) fs.closeSync(fd);
+  }
+}
+
+const keyOf = (chatId, id) => `${chatId}-${id}`;
+
+function isExpired(entry, now = Date.now()) {
+  return now - entry.at > config.MESSAGE_STORE_MAX_AGE_HOURS * 3600_000;
+}
+
+function readEntry(entry) {
+  const buffered = unwritten.get(entry.offset);
+  if (buffered) return JSON.parse(buffered.toString("utf8"), BufferJSON.reviver);
+
+  const fd = fs.openSync(storeFile, "r");
+  try {
+    const buffer = Buffer.alloc(entry.length);
+    fs.readSync(fd, buffer, 0, entry.length, entry.offset);
+    return JSON.parse(buffer.toString("utf8"), BufferJSON.reviver);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function load() {
+  if (!fs.existsSync(storeFile)) return;
+
+  const buffer = fs.readFileSync(storeFile);
+  const now = Date.now();
+  let start = 0;
+  while (start < buffer.length) {
+    let end = buffer.indexOf(10, start);
+    if (end === -1) end = buffer.length;
+    try {
+      const line = JSON.parse(buffer.toString("utf8", start, end));
+      const entry = { offset: start, length: end - start, at: line.at };
+      if (index.delete(line.key)) deadEntries++;
+      if (isExpired(entry, now)) deadEntries++;
+      else index.set(line.key, entry);
+    } catch {
+      deadEntries++;
+    }
+    start = end + 1;
+  }
+  fileSize = buffer.length;
+}
+
+/**
+ * Rewrites the store file with only the live, unexpired entries, newest
+ * MESSAGE_STORE_MAX kept. Runs automatically once dead lines outnumber live ones.
+ */
+export function compact() {
+  flushMessages();
+  generation++;
+  writing = null;
+  pending = [];
+  unwritten.clear();
+
+  const now = Date.now();
+  const live = [...index].filter(([, entry]) => !isExpired(entry, now)).slice(-config.MESSAGE_STORE_MAX);
+
+  const buffer = fs.existsSync(storeFile) ? fs.readFileSync(storeFile) : Buffer.alloc(0);
+  const lines = live.map(([key, entry]) => [
+    key,
+    entry.at,
+    buffer.subarray(entry.offset, entry.offset + entry.length)
+  ]);
+
+  index.clear();
+  let offset = 0;
+  const chunks = [];
+  for (const [key, at, raw] of lines) {
+    index.set(key, { offset, length: raw.length, at });
+    chunks.push(raw, Buffer.from("\n"));
+    offset += raw.length + 1;
+  }
+
+  const tmp = `${storeFile}.tmp`;
+  fs.writeFileSync(tmp, Buffer.concat(chunks));
+  fs.renameSync(tmp, storeFile);
+  fileSize = offset;
+  deadEntries = 0;
+}
+
+function maybeCompact() {
+  if (deadEntries > Math.max(index.size, 200)) {
+    try {
+      compact();
+    } catch (err) {
+      log.error(`Compaction failed: ${err.message}`);
+    }
+  }
+}
+
+export function saveMessage(m) {
+  if (!m?.key?.remoteJid || !m.key.id) return;
+
+  const key = keyOf(m.key.remoteJid, m.key.id);
+  const data = Buffer.from(JSON.stringify({ key, at: Date.now(), message: m }, BufferJSON.replacer));
+  const offset = fileSize;
+  unwritten.set(offset, data);
+  pending.push({ offset, data });
+  scheduleWrite();
+
+  // re-insert so an updated message counts as the newest
+  if (index.delete(key)) deadEntries++;
+  index.set(key, { offset, length: data.length, at: Date.now() });
+  fileSize += data.length + 1;
+
+  // drop the oldest entries once over the size limit
+  while (index.size > config.MESSAGE_STORE_MAX) {
+    index.delete(index.keys().next().value);
+    deadEntries++;
+  }
+  maybeCompact();
+}
+
+export function getMessage(chatId, id) {
+  const key = keyOf(chatId, id);
+  const entry = index.get(key);
+  if (!entry) return null;
+  if (isExpired(entry)) {
+    index.delete(key);
+    deadEntries++;
+    return null;
+  }
+  try {
+    return readEntry(entry).message;
+  } catch (err) {
+    log.error(`Failed to read message ${key}: ${err.message}`);
+    return null;
+  }
+}
+
+export function storeSize() {
+  return index.size;
+}
+
+defineGauge("silva_message_store_size", "Messages kept for anti-delete recovery", storeSize);
+
+try {
+  load();
+  maybeCompact();
+} catch (err) {
+  log.error(`Failed to load ${storeFile}: ${err.message}`);
+}
+process.on("exit", flushMessages);
@@ -0,0 +1,73 @@
+// lib/metrics.js
+
+/**
+ * Minimal Prometheus registry. Counters live in memory and are bumped by the
+ * module that owns them; gauges are callbacks read at scrape time, so they
+ * always reflect live values (queue depth, RSS, ...).
+ */
+const counters = new Map(); // name -> { help, values: Map(labelKey -> { labels, value }) }
+const gauges = new Map(); // name -> { help, read }
+
+function labelKey(labels) {
+  return Object.keys(labels)
+    .sort()
+    .map((k) => `${k}=${labels[k]}`)
+    .join(",");
+}
+
+function formatLabels(labels = {}) {
+  const parts = Object.entries(labels).map(
+    ([k, v]) => `${k}="${String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`
+  );
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+export function defineCounter(name, help) {
+  if (!counters.has(name)) counters.set(name, { help, values: new Map() });
+}
+
+export function incCounter(name, labels = {}, by = 1) {
+  const counter = counters.get(name);
+  if (!counter) throw new Error(`Unknown counter ${name}`);
+  const key = labelKey(labels);
+  const sample = counter.values.get(key) || { labels, value: 0 };
+  sample.value += by;
+  counter.values.set(key, sample);
+}
+
+/**
+ * `read` returns a number, or an array of { labels, value } for labelled gauges.
+ * Registering the same name again replaces the callback.
+ */
+export function defineGauge(name, help, read) {
+  gauges.set(name, { help, read });
+}
+
+export function renderMetrics() {
+  const lines = [];
+
+  for (const [name, { help, values }] of counters) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} counter`);
+    for (const { labels, value } of values.values()) lines.push(`${name}${formatLabels(labels)} ${value}`);
+  }
+
+  for (const [name, { help, read }] of gauges) {
+    let samples;
+    try {
+      const value = read();
+      samples = Array.isArray(value) ? value : [{ value }];
+    } catch {
+      continue;
+    }
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`);
+    for (const { labels, value } of samples) {
+      if (Number.isFinite(value)) lines.push(`${name}${formatLabels(labels)} ${value}`);
+    }
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+defineGauge("silva_process_resident_memory_bytes", "Resident set size of the bot process", () => process.memoryUsage().rss);
+defineGauge("silva_process_heap_used_bytes", "V8 heap in use", () => process.memoryUsage().heapUsed);
+defineGauge("silva_process_uptime_seconds", "Seconds since the process started", () => Math.round(process.uptime()));
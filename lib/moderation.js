@@ -0,0 +1,219 @@
+// lib/moderation.js
+import { getChat, readChat } from "./database.js";
+import { invalidateGroupMetadata, isGroupAdmin, isOwner } from "./handler.js";
+import { jidToNumber, safeGetUserJid } from "./utils.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("moderation");
+
+export const MOD_ACTIONS = ["delete", "warn", "kick"];
+export const ANTILINK_MODES = ["off", "on", "invites"];
+
+export const MOD_DEFAULTS = {
+  // off | on (every link not on the allowlist) | invites (only invites to other groups)
+  antilink: "off",
+  allowDomains: [],
+  antiflood: false,
+  floodMessages: 6,
+  floodSeconds: 10,
+  antibadword: false,
+  badWords: [],
+  antimention: false,
+  mentionMax: 5,
+  action: "delete",
+  maxWarnings: 3
+};
+
+const MAX_REASONS = 5;
+const FLOOD_SWEEP_MS = 5 * 60_000;
+const INVITE_CODE_TTL_MS = 10 * 60_000;
+
+// anything with a scheme or www., plus bare domains on common TLDs ("bit.ly/x")
+const LINK_RE =
+  /\b(?:https?:\/\/|www\.)[^\s]+|\b(?:[a-z0-9-]+\.)+(?:com|net|org|io|me|co|ly|gg|xyz|info|app|link|site|online|to|be|tk|ml|ke|in|us|uk)\b(?:\/[^\s]*)?/gi;
+const INVITE_RE = /chat\.whatsapp\.com\/(?:invite\/)?([a-z0-9]{10,})/gi;
+
+// "chat|sender" -> timestamps of recent messages
+const floodHits = new Map();
+// chatId -> { code, at } for telling this group's own invite apart from others
+const inviteCodes = new Map();
+
+setInterval(() => {
+  const cutoff = Date.now() - FLOOD_SWEEP_MS;
+  for (const [key, hits] of floodHits) if (!hits.length || hits[hits.length - 1] < cutoff) floodHits.delete(key);
+}, FLOOD_SWEEP_MS).unref();
+
+export function getModeration(chatId) {
+  return { ...MOD_DEFAULTS, ...readChat(chatId).moderation };
+}
+
+// writable copy stored on the chat record; always carries every default key
+export function updateModeration(chatId) {
+  const chat = getChat(chatId);
+  chat.moderation = { ...MOD_DEFAULTS, ...chat.moderation };
+  return chat.moderation;
+}
+
+export function getWarnings(chatId, jid) {
+  const warnings = readChat(chatId).warnings || {};
+  if (!jid) return warnings;
+  return warnings[jidToNumber(jid)] || { count: 0, reasons: [] };
+}
+
+export function clearWarnings(chatId, jid, all = false) {
+  const chat = getChat(chatId);
+  const number = jidToNumber(jid);
+  const entry = chat.warnings[number];
+  if (!entry) return 0;
+  if (all || entry.count <= 1) delete chat.warnings[number];
+  else {
+    entry.count--;
+    entry.reasons.pop();
+  }
+  return chat.warnings[number]?.count || 0;
+}
+
+/**
+ * Adds a warning and kicks the member once the group's maximum is reached
+ * (warnings are reset after the kick). Resolves to { count, max, kicked }.
+ */
+export async function addWarning(sock, chatId, jid, reason) {
+  const chat = getChat(chatId);
+  const max = getModeration(chatId).maxWarnings;
+  const number = jidToNumber(jid);
+  const entry = (chat.warnings[number] ??= { count: 0, reasons: [] });
+  entry.count++;
+  entry.reasons = [...entry.reasons, reason || "no reason given"].slice(-MAX_REASONS);
+
+  if (entry.count < max) return { count: entry.count, max, kicked: false };
+
+  const kicked = await kickMember(sock, chatId, jid);
+  if (kicked) delete chat.warnings[number];
+  return { count: entry.count, max, kicked };
+}
+
+export async function kickMember(sock, chatId, jid) {
+  try {
+    const [result] = (await sock.groupParticipantsUpdate(chatId, [jid], "remove")) || [];
+    invalidateGroupMetadata(chatId);
+    return !result || Number(result.status) === 200;
+  } catch (err) {
+    log.warn(`Failed to remove ${jidToNumber(jid)} from ${chatId}: ${err.message}`);
+    return false;
+  }
+}
+
+async function ownInviteCode(sock, chatId) {
+  const cached = inviteCodes.get(chatId);
+  if (cached && Date.now() - cached.at < INVITE_CODE_TTL_MS) return cached.code;
+  const code = await sock.groupInviteCode(chatId).catch(() => null);
+  inviteCodes.set(chatId, { code, at: Date.now() });
+  return code;
+}
+
+function hostOf(link) {
+  return link.toLowerCase().replace(/^https?:\/\//, "").replace(/^www\./, "").split(/[/:?#]/)[0];
+}
+
+function domainAllowed(host, allowDomains) {
+  return allowDomains.some((d) => host === d || host.endsWith(`.${d}`));
+}
+
+async function findLinkViolation(sock, m, mod) {
+  const invites = [...m.text.matchAll(INVITE_RE)].map(([, code]) => code);
+  if (invites.length) {
+    const ownCode = await ownInviteCode(sock, m.chat);
+    if (invites.some((code) => code !== ownCode)) return "invite link to another group";
+  }
+  if (mod.antilink !== "on") return null;
+
+  for (const [link] of m.text.matchAll(LINK_RE)) {
+    const host = hostOf(link);
+    if (host === "chat.whatsapp.com") continue; // invites were handled above
+    if (!domainAllowed(host, mod.allowDomains)) return `link (${host})`;
+  }
+  return null;
+}
+
+function isFlooding(m, mod) {
+  const key = `${m.chat}|${m.sender}`;
+  const now = Date.now();
+  const hits = (floodHits.get(key) || []).filter((t) => now - t < mod.floodSeconds * 1000);
+  hits.push(now);
+  if (hits.length > mod.floodMessages) {
+    // one action per burst, then start counting again
+    floodHits.delete(key);
+    return true;
+  }
+  floodHits.set(key, hits);
+  return false;
+}
+
+// whole words only, so "class" doesn't trip on "ass"
+function findBadWord(text, words) {
+  const lower = text.toLowerCase();
+  return words.find((word) => {
+    const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, "u").test(lower);
+  });
+}
+
+async function findViolation(sock, m, mod) {
+  if (mod.antiflood && isFlooding(m, mod)) return "flooding";
+  if (mod.antimention && m.mentions.length >= mod.mentionMax) return `mass mention (${m.mentions.length} people)`;
+  if (!m.text) return null;
+  if (mod.antilink !== "off") {
+    const link = await findLinkViolation(sock, m, mod);
+    if (link) return link;
+  }
+  if (mod.antibadword && mod.badWords.length && findBadWord(m.text, mod.badWords)) return "banned word";
+  return null;
+}
+
+async function enforce(sock, m, mod, reason) {
+  const botIsAdmin = await isGroupAdmin(sock, m.chat, safeGetUserJid(sock));
+  const tag = `@${jidToNumber(m.sender)}`;
+  const notify = (text) => sock.sendMessage(m.chat, { text, mentions: [m.sender] });
+
+  if (botIsAdmin) await sock.sendMessage(m.chat, { delete: m.key }).catch(() => {});
+
+  if (mod.action === "kick") {
+    if (!botIsAdmin) return notify(`🚫 ${tag} broke the rules (${reason}), but I need admin rights to remove them.`);
+    if (await kickMember(sock, m.chat, m.sender)) return notify(`👢 ${tag} was removed: ${reason}.`);
+    return;
+  }
+
+  if (mod.action === "warn") {
+    const { count, max, kicked } = await addWarning(sock, m.chat, m.sender, reason);
+    if (kicked) return notify(`👢 ${tag} reached ${max}/${max} warnings and was removed. Last: ${reason}.`);
+    return notify(`⚠️ ${tag} warning ${Math.min(count, max)}/${max}: ${reason}.`);
+  }
+
+  if (!botIsAdmin) return notify(`🚫 ${tag}, ${reason} isn't allowed here.`);
+  return notify(`🚫 ${tag}, message removed: ${reason}.`);
+}
+
+/**
+ * Runs the group's moderation rules against one message. Admins, the owner
+ * and the bot itself are exempt. Resolves to true when the message broke a
+ * rule and was acted on, so the caller can stop processing it.
+ */
+export async function moderateMessage(sock, m) {
+  if (!m.isGroup || m.fromMe || !readChat(m.chat).moderation) return false;
+
+  const mod = getModeration(m.chat);
+  if (mod.antilink === "off" && !mod.antiflood && !mod.antibadword && !mod.antimention) return false;
+  if (isOwner(sock, m.sender)) return false;
+
+  try {
+    if (await isGroupAdmin(sock, m.chat, m.sender)) return false;
+    const reason = await findViolation(sock, m, mod);
+    if (!reason) return false;
+    log.info(`${reason} from ${jidToNumber(m.sender)} in ${m.chat} — ${mod.action}`);
+    await enforce(sock, m, mod, reason);
+    return true;
+  } catch (err) {
+    log.error(`Moderation failed in ${m.chat}:`, err);
+    return false;
+  }
+}
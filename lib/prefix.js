@@ -0,0 +1,60 @@
+// lib/prefix.js
+import { config } from "../config.js";
+import { jidToNumber, safeGetUserJid } from "./utils.js";
+import { getChat, readChat } from "./database.js";
+
+export function getPrefixes(chatId) {
+  const custom = readChat(chatId).prefix;
+  if (custom) return [custom];
+  // longest first so "!!" wins over "!"
+  return [...config.PREFIX].sort((a, b) => b.length - a.length);
+}
+
+export function getChatPrefix(chatId) {
+  return readChat(chatId).prefix || null;
+}
+
+export function setChatPrefix(chatId, value) {
+  getChat(chatId).prefix = value || null;
+}
+
+function botMentionLength(sock, text) {
+  const match = text.match(/^@(\d+)\s+/);
+  if (!match) return 0;
+  const botNumbers = [safeGetUserJid(sock), sock.user?.lid].filter(Boolean).map(jidToNumber);
+  return botNumbers.includes(match[1]) ? match[0].length : 0;
+}
+
+/**
+ * Works out whether a serialized message is a command and which prefix was used.
+ * Returns { prefix, body, implicit } or null. `implicit` is set when the message
+ * had no prefix at all (no-prefix private chats, or a mention of the bot with
+ * no prefix after it), so callers can stay quiet when the first word isn't a
+ * command.
+ */
+export function resolvePrefix(sock, m) {
+  const prefixes = getPrefixes(m.chat);
+  let text = m.text.trimStart();
+
+  // "@bot menu" and "@bot .menu" both count as commands
+  const mentionLength = botMentionLength(sock, text);
+  if (mentionLength) {
+    text = text.slice(mentionLength);
+    const used = prefixes.find((p) => text.startsWith(p));
+    return {
+      prefix: used || prefixes[0] || "",
+      body: used ? text.slice(used.length) : text,
+      // "@bot how are you" is conversation, not a mistyped command
+      implicit: !used
+    };
+  }
+
+  const used = prefixes.find((p) => text.startsWith(p));
+  if (used) return { prefix: used, body: text.slice(used.length), implicit: false };
+
+  if (!m.isGroup && config.NO_PREFIX_PRIVATE) {
+    return { prefix: "", body: text, implicit: true };
+  }
+
+  return null;
+}
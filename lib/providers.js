@@ -0,0 +1,347 @@
+// lib/providers.js
+import axios from "axios";
+import { getSettings } from "./database.js";
+import { createLogger } from "./logger.js";
+import { defineCounter, defineGauge, incCounter } from "./metrics.js";
+
+const log = createLogger("providers");
+
+const FAILURE_THRESHOLD = 3;
+const COOLDOWN_MS = 5 * 60_000;
+const DEFAULT_TIMEOUT_MS = 20_000;
+const DEFAULT_HEADERS = {
+  "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/124 Safari/537.36",
+  Accept: "application/json"
+};
+
+// name -> provider definition; Map order is the failover order
+const providers = new Map();
+const stats = new Map();
+
+// swapped out with setHttpClient() to run providers offline
+let httpGet = (url, options) => axios.get(url, options).then((res) => res.data);
+
+function persisted() {
+  const settings = getSettings();
+  settings.providers ??= { order: [], disabled: [], custom: [] };
+  return settings.providers;
+}
+
+function statsFor(name) {
+  if (!stats.has(name)) {
+    stats.set(name, {
+      successes: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      totalLatencyMs: 0,
+      lastLatencyMs: 0,
+      lastError: null,
+      skipUntil: 0
+    });
+  }
+  return stats.get(name);
+}
+
+// best-effort parser for providers added at runtime from a URL template
+export function genericParse(data) {
+  const r = data?.result || data?.data || data;
+  const url =
+    r?.downloadUrl || r?.download_url || r?.url || r?.audio || r?.video || r?.play || data?.url;
+  if (!url || typeof url !== "string") return null;
+  return {
+    url,
+    title: r?.title,
+    author: r?.author?.nickname || r?.author?.name || (typeof r?.author === "string" ? r.author : undefined),
+    thumbnail: r?.thumbnail || r?.image || r?.cover
+  };
+}
+
+/**
+ * Registers (or replaces) a download provider.
+ *
+ * A provider is `{ name, platforms, url(input), parse(data, input), timeout?, headers? }`.
+ * `parse` returns a normalized `{ url, title?, author?, thumbnail?, stats? }` or null
+ * when the response has nothing usable. Providers may define `fetch(input, { signal })`
+ * instead of `url` to skip HTTP entirely, which is how local stand-ins are plugged in.
+ * Both also get the requested `quality` ("720p", "128k"); providers that can't pick
+ * one ignore it.
+ */
+export function registerProvider(def) {
+  if (!def?.name || !Array.isArray(def.platforms) || (!def.url && !def.fetch)) {
+    throw new Error("Provider needs a name, a platforms list and a url() or fetch()");
+  }
+  providers.set(def.name, {
+    timeout: DEFAULT_TIMEOUT_MS,
+    parse: genericParse,
+    ...def,
+    enabled: !persisted().disabled.includes(def.name)
+  });
+  statsFor(def.name);
+  applyOrder();
+}
+
+export function removeProvider(name) {
+  stats.delete(name);
+  return providers.delete(name);
+}
+
+export function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+export function setHttpClient(fn) {
+  httpGet = fn;
+}
+
+function applyOrder() {
+  const { order } = persisted();
+  if (!order.length) return;
+  const sorted = [...providers.entries()].sort(([a], [b]) => {
+    const ia = order.indexOf(a);
+    const ib = order.indexOf(b);
+    return (ia === -1 ? Infinity : ia) - (ib === -1 ? Infinity : ib);
+  });
+  providers.clear();
+  for (const [name, def] of sorted) providers.set(name, def);
+}
+
+export function listProviders(platform) {
+  return [...providers.values()]
+    .filter((p) => !platform || p.platforms.includes(platform))
+    .map((p) => ({ ...p, stats: statsFor(p.name) }));
+}
+
+export function setProviderEnabled(name, enabled) {
+  const provider = providers.get(name);
+  if (!provider) return false;
+  provider.enabled = enabled;
+
+  const saved = persisted();
+  saved.disabled = saved.disabled.filter((n) => n !== name);
+  if (!enabled) saved.disabled.push(name);
+  return true;
+}
+
+// moves a provider to a 1-based position in the failover order
+export function moveProvider(name, position) {
+  if (!providers.has(name)) return false;
+  const names = [...providers.keys()].filter((n) => n !== name);
+  names.splice(Math.max(0, Math.min(position - 1, names.length)), 0, name);
+  persisted().order = names;
+  applyOrder();
+  return true;
+}
+
+// adds a provider from a URL template such as "https://api.example.com/dl?url={input}"
+export function addCustomProvider(name, platform, template) {
+  const saved = persisted();
+  saved.custom = saved.custom.filter((c) => c.name !== name);
+  saved.custom.push({ name, platform, template });
+  registerCustom({ name, platform, template });
+}
+
+export function removeCustomProvider(name) {
+  const saved = persisted();
+  const before = saved.custom.length;
+  saved.custom = saved.custom.filter((c) => c.name !== name);
+  if (saved.custom.length === before) return false;
+  removeProvider(name);
+  return true;
+}
+
+function registerCustom({ name, platform, template }) {
+  registerProvider({
+    name,
+    platforms: [platform],
+    custom: true,
+    url: (input, { quality } = {}) =>
+      template.replace("{input}", encodeURIComponent(input)).replace("{quality}", encodeURIComponent(quality || ""))
+  });
+}
+
+export function resetProviderStats(name) {
+  stats.delete(name);
+  statsFor(name);
+}
+
+function recordSuccess(name, latency) {
+  incCounter("silva_provider_requests_total", { provider: name, result: "success" });
+  const s = statsFor(name);
+  s.successes++;
+  s.consecutiveFailures = 0;
+  s.totalLatencyMs += latency;
+  s.lastLatencyMs = latency;
+  s.skipUntil = 0;
+}
+
+function recordFailure(name, latency, error) {
+  incCounter("silva_provider_requests_total", { provider: name, result: "failure" });
+  const s = statsFor(name);
+  s.failures++;
+  s.consecutiveFailures++;
+  s.lastLatencyMs = latency;
+  s.lastError = error;
+  if (s.consecutiveFailures >= FAILURE_THRESHOLD) s.skipUntil = Date.now() + COOLDOWN_MS;
+}
+
+async function callProvider(provider, input, { signal, quality }) {
+  if (provider.fetch) return provider.fetch(input, { signal, quality });
+  return httpGet(provider.url(input, { quality }), {
+    headers: { ...DEFAULT_HEADERS, ...provider.headers },
+    timeout: provider.timeout,
+    signal
+  });
+}
+
+/**
+ * Tries every enabled provider for `platform` in order until one returns a
+ * usable result. Providers that keep failing are skipped for a cool-down
+ * period, but are still tried last if nothing healthy is left.
+ */
+export async function resolveMedia(platform, input, { signal, quality } = {}) {
+  const now = Date.now();
+  const candidates = listProviders(platform).filter((p) => p.enabled);
+  const healthy = candidates.filter((p) => p.stats.skipUntil <= now);
+  const cooling = candidates.filter((p) => p.stats.skipUntil > now);
+  if (!candidates.length) throw new Error(`No download providers enabled for ${platform}.`);
+
+  for (const provider of [...healthy, ...cooling]) {
+    if (signal?.aborted) throw signal.reason || new Error("Aborted");
+
+    const started = Date.now();
+    try {
+      const data = await callProvider(provider, input, { signal, quality });
+      const result = provider.parse(data, input);
+      if (!result?.url) throw new Error("no usable result");
+      recordSuccess(provider.name, Date.now() - started);
+      log.info(`${platform} served by ${provider.name}`);
+      return { ...result, provider: provider.name };
+    } catch (err) {
+      // the command was stopped, which says nothing about the provider
+      if (signal?.aborted) throw signal.reason || err;
+      recordFailure(provider.name, Date.now() - started, err.message);
+      log.warn(`${provider.name} failed for ${platform}: ${err.message}`);
+    }
+  }
+
+  throw new Error("All download sources failed.");
+}
+
+// ---- built-in providers --------------------------------------------------
+
+// "128k" -> "128", "720p" -> "720"
+const qualityParam = (quality) => (quality ? `&quality=${parseInt(quality, 10)}` : "");
+
+const ytmp3Parse = (data) => {
+  if (!(data?.status === 200 || data?.success || data?.result)) return null;
+  const url = data.result?.downloadUrl || data.url || data.result?.url || data.result?.audio;
+  if (!url) return null;
+  return {
+    url,
+    title: data.result?.title,
+    author: data.result?.author,
+    thumbnail: data.result?.image
+  };
+};
+
+registerProvider({
+  name: "davidcyril",
+  platforms: ["youtube-audio"],
+  url: (link, { quality } = {}) =>
+    `https://apis.davidcyriltech.my.id/download/ytmp3?url=${encodeURIComponent(link)}${qualityParam(quality)}`,
+  parse: ytmp3Parse
+});
+
+registerProvider({
+  name: "ryzendesu",
+  platforms: ["youtube-audio"],
+  url: (link) => `https://api.ryzendesu.vip/api/downloader/ytmp3?url=${encodeURIComponent(link)}`,
+  parse: ytmp3Parse
+});
+
+registerProvider({
+  name: "akuari",
+  platforms: ["youtube-audio"],
+  url: (link) => `https://api.akuari.my.id/downloader/youtubeaudio?link=${encodeURIComponent(link)}`,
+  parse: ytmp3Parse
+});
+
+const ytmp4Parse = (data) => {
+  if (!(data?.status === 200 || data?.success || data?.result)) return null;
+  const url = data.result?.download_url || data.result?.downloadUrl || data.result?.video || data.result?.url || data.url;
+  if (!url) return null;
+  return {
+    url,
+    title: data.result?.title,
+    author: data.result?.author,
+    thumbnail: data.result?.thumbnail || data.result?.image
+  };
+};
+
+registerProvider({
+  name: "davidcyril-video",
+  platforms: ["youtube-video"],
+  timeout: 30_000,
+  url: (link, { quality } = {}) =>
+    `https://apis.davidcyriltech.my.id/download/ytmp4?url=${encodeURIComponent(link)}${qualityParam(quality)}`,
+  parse: ytmp4Parse
+});
+
+registerProvider({
+  name: "ryzendesu-video",
+  platforms: ["youtube-video"],
+  timeout: 30_000,
+  url: (link, { quality } = {}) =>
+    `https://api.ryzendesu.vip/api/downloader/ytmp4?url=${encodeURIComponent(link)}${qualityParam(quality)}`,
+  parse: ytmp4Parse
+});
+
+registerProvider({
+  name: "akuari-video",
+  platforms: ["youtube-video"],
+  timeout: 30_000,
+  url: (link) => `https://api.akuari.my.id/downloader/youtubevideo?link=${encodeURIComponent(link)}`,
+  parse: ytmp4Parse
+});
+
+registerProvider({
+  name: "tiklydown",
+  platforms: ["tiktok"],
+  timeout: 25_000,
+  url: (link) => `https://api.tiklydown.eu.org/api/download?url=${encodeURIComponent(link)}`,
+  parse: (d) =>
+    d?.videoUrl
+      ? {
+          url: d.videoUrl.replace(/watermark=1/, "watermark=0"),
+          author: d.author?.nickname,
+          stats: d.stats
+        }
+      : null
+});
+
+registerProvider({
+  name: "tikwm",
+  platforms: ["tiktok"],
+  timeout: 25_000,
+  url: (link) => `https://tikwm.com/api/?url=${encodeURIComponent(link)}`,
+  parse: (d) =>
+    d?.data?.play
+      ? {
+          url: d.data.play,
+          author: d.data.author?.nickname,
+          stats: {
+            digg_count: d.data.digg_count,
+            comment_count: d.data.comment_count
+          }
+        }
+      : null
+});
+
+for (const custom of persisted().custom) registerCustom(custom);
+
+defineGauge("silva_provider_latency_ms", "Average latency of successful provider calls", () =>
+  listProviders()
+    .filter((p) => p.stats.successes)
+    .map((p) => ({ labels: { provider: p.name }, value: Math.round(p.stats.totalLatencyMs / p.stats.successes) }))
+);
+defineCounter("silva_provider_requests_total", "Provider calls, by result");
@@ -0,0 +1,81 @@
+// lib/queue.js
+
+/**
+ * Per-chat message queue: messages from one chat run strictly in order, while
+ * different chats run in parallel up to `concurrency` at a time. New messages
+ * are dropped (and reported through onDrop) once `maxPending` messages are
+ * waiting overall or `maxPerChat` in a single chat. A chat whose worker is
+ * parked (waiting on the user, see park()) doesn't count against `concurrency`.
+ */
+export function createChatQueue({ concurrency, maxPending, maxPerChat, worker, onDrop, onError }) {
+  const chats = new Map(); // chatId -> pending items
+  const waiting = []; // chatIds with pending items and no running worker
+  const active = new Set(); // chatIds currently being processed
+  const parked = new Map(); // chatId -> open park() calls
+  let pending = 0;
+
+  async function drain(chatId) {
+    active.add(chatId);
+    const items = chats.get(chatId);
+
+    while (items?.length) {
+      const item = items.shift();
+      pending--;
+      try {
+        await worker(item, chatId);
+      } catch (err) {
+        onError?.(err, item, chatId);
+      }
+    }
+
+    chats.delete(chatId);
+    active.delete(chatId);
+    next();
+  }
+
+  const busy = () => [...active].filter((chatId) => !parked.has(chatId)).length;
+
+  function next() {
+    while (busy() < concurrency && waiting.length) {
+      const chatId = waiting.shift();
+      drain(chatId);
+    }
+  }
+
+  function push(chatId, item) {
+    const items = chats.get(chatId) || [];
+    if (pending >= maxPending || items.length >= maxPerChat) {
+      onDrop?.(item, chatId, pending);
+      return false;
+    }
+
+    items.push(item);
+    pending++;
+    if (!chats.has(chatId)) {
+      chats.set(chatId, items);
+      waiting.push(chatId);
+    }
+    next();
+    return true;
+  }
+
+  // frees the chat's slot while its worker waits for input; unpark() when it resumes
+  function park(chatId) {
+    parked.set(chatId, (parked.get(chatId) || 0) + 1);
+    next();
+  }
+
+  function unpark(chatId) {
+    const count = (parked.get(chatId) || 0) - 1;
+    if (count > 0) parked.set(chatId, count);
+    else parked.delete(chatId);
+  }
+
+  return {
+    push,
+    park,
+    unpark,
+    depth: () => pending,
+    activeChats: () => active.size
+  };
+}
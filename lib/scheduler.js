@@ -0,0 +1,127 @@
+// lib/scheduler.js
+import { flush, getSettings } from "./database.js";
+import { nextCronRun } from "./timeparse.js";
+import { jidToNumber } from "./utils.js";
+import { config } from "../config.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("scheduler");
+
+// setTimeout can't wait longer than ~24.8 days; re-check at least this often
+const MAX_WAIT_MS = 60 * 60_000;
+// a run is "missed" (the bot was down) when it fires later than this
+const LATE_AFTER_MS = 2 * 60_000;
+// how soon due jobs are looked at again while the bot is offline
+const OFFLINE_RETRY_MS = 30_000;
+
+let sendFn = null;
+let isReady = () => true;
+let timer = null;
+let running = false;
+
+// jobs live in the database so they survive restarts
+function store() {
+  const settings = getSettings();
+  settings.scheduler ??= { nextId: 1, jobs: [] };
+  return settings.scheduler;
+}
+
+export function listJobs(filter = () => true) {
+  return store().jobs.filter(filter).sort((a, b) => a.at - b.at);
+}
+
+/**
+ * kind "remind" pings the creator, "schedule" posts the text as is.
+ * `cron` makes the job recurring; `at` is always the next run.
+ */
+export function addJob({ chat, creator, text, kind, at, cron = null }) {
+  const data = store();
+  const job = { id: data.nextId++, chat, creator, text, kind, at, cron, runs: 0, createdAt: Date.now() };
+  data.jobs.push(job);
+  flush();
+  arm();
+  return job;
+}
+
+export function cancelJob(id) {
+  const data = store();
+  const index = data.jobs.findIndex((j) => j.id === Number(id));
+  if (index === -1) return null;
+  const [job] = data.jobs.splice(index, 1);
+  flush();
+  arm();
+  return job;
+}
+
+function buildMessage(job, late) {
+  const note = late ? "\n\n_(sent late — the bot was offline at the scheduled time)_" : "";
+  if (job.kind === "remind") {
+    return { text: `⏰ *Reminder* for @${jidToNumber(job.creator)}\n\n${job.text}${note}`, mentions: [job.creator] };
+  }
+  return { text: `${job.text}${note}` };
+}
+
+async function runJob(job, now) {
+  const lateBy = now - job.at;
+  const late = lateBy > LATE_AFTER_MS;
+  const skip = late && (config.SCHEDULER_MISSED_POLICY === "skip" || lateBy > config.SCHEDULER_CATCHUP_HOURS * 3_600_000);
+
+  if (skip) log.info(`Job #${job.id} missed its run by ${Math.round(lateBy / 60_000)} min — skipped`);
+  else {
+    try {
+      await sendFn(job.chat, buildMessage(job, late));
+      job.runs++;
+    } catch (err) {
+      log.error(`Job #${job.id} failed: ${err.message}`);
+    }
+  }
+
+  // recurring jobs move to their next run; however many runs were missed, at most one is sent
+  const data = store();
+  if (job.cron) {
+    job.at = nextCronRun(job.cron, Date.now());
+    if (job.at) return;
+  }
+  data.jobs = data.jobs.filter((j) => j.id !== job.id);
+}
+
+async function runDue() {
+  if (running) return;
+  if (!isReady()) {
+    clearTimeout(timer);
+    timer = setTimeout(runDue, OFFLINE_RETRY_MS);
+    timer.unref();
+    return;
+  }
+  running = true;
+  try {
+    const now = Date.now();
+    for (const job of listJobs((j) => j.at <= now)) await runJob(job, now);
+    flush();
+  } finally {
+    running = false;
+    arm();
+  }
+}
+
+function arm() {
+  clearTimeout(timer);
+  if (!sendFn) return;
+  const [next] = listJobs();
+  if (!next) return;
+  timer = setTimeout(runDue, Math.min(Math.max(next.at - Date.now(), 0), MAX_WAIT_MS));
+  timer.unref();
+}
+
+/**
+ * Starts firing jobs. `send(chatId, content)` delivers one message. Jobs only
+ * run while `ready()` is true; ones that fall due while the bot is offline are
+ * sent once it's back, subject to the missed-run policy.
+ */
+export function startScheduler(send, { ready = () => true } = {}) {
+  sendFn = send;
+  isReady = ready;
+  const pending = store().jobs.length;
+  if (pending) log.info(`${pending} scheduled job(s) loaded`);
+  arm();
+}
@@ -0,0 +1,136 @@
+// lib/server.js
+import http from "http";
+import crypto from "crypto";
+import qrcode from "qrcode-terminal";
+import { config } from "../config.js";
+import { createLogger } from "./logger.js";
+import { renderMetrics } from "./metrics.js";
+import { getConnectionState, getLoginState } from "./silvaConnect.js";
+
+const log = createLogger("http");
+
+let server = null;
+
+function send(res, status, body, type = "application/json") {
+  const payload = typeof body === "string" ? body : JSON.stringify(body);
+  res.writeHead(status, { "Content-Type": `${type}; charset=utf-8`, "Cache-Control": "no-store" });
+  res.end(payload);
+}
+
+function tokenMatches(req, url) {
+  const expected = config.LOGIN_TOKEN;
+  const given = url.searchParams.get("token") || req.headers.authorization?.replace(/^Bearer\s+/i, "") || "";
+  const a = crypto.createHash("sha256").update(given).digest();
+  const b = crypto.createHash("sha256").update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+function renderQr(text) {
+  let out = "";
+  qrcode.generate(text, { small: true }, (str) => (out = str));
+  return out;
+}
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+}
+
+function loginPage(state, connection) {
+  let body;
+  if (connection.connection === "open") body = "<p>✅ Already connected — nothing to scan.</p>";
+  else if (state.pairingCode) body = `<p>Enter this code under <b>Linked devices → Link with phone number</b>:</p><h1>${escapeHtml(state.pairingCode)}</h1>`;
+  else if (state.qr) body = `<p>Scan with <b>WhatsApp → Linked devices</b>:</p><pre>${escapeHtml(renderQr(state.qr))}</pre>`;
+  else body = "<p>⏳ Waiting for WhatsApp to issue a QR code…</p>";
+
+  return `<!doctype html><html><head><meta charset="utf-8"><meta http-equiv="refresh" content="15">
+<title>Silva MD Pro login</title><style>body{font-family:sans-serif;text-align:center;padding:2em}pre{display:inline-block;line-height:1;font-size:10px;background:#fff;color:#000;padding:1em}</style>
+</head><body><h2>Silva MD Pro</h2>${body}</body></html>`;
+}
+
+function health() {
+  const state = getConnectionState();
+  const downFor = state.connection === "open" ? 0 : Math.round((Date.now() - state.since) / 1000);
+  // a halted bot never reconnects by itself, so there is no point waiting out the grace period
+  const ok = !state.halted && (state.connection === "open" || downFor < config.HEALTH_GRACE_SECONDS);
+  return {
+    status: ok ? 200 : 503,
+    body: {
+      status: ok ? "ok" : state.halted ? "halted" : "unhealthy",
+      connection: state.connection,
+      since: new Date(state.since).toISOString(),
+      lastDisconnectCode: state.lastDisconnectCode,
+      uptime: Math.round(process.uptime())
+    }
+  };
+}
+
+const routes = {
+  "/": (req, res) => send(res, 200, "Silva MD Pro is running.", "text/plain"),
+
+  // liveness: only fails once the bot has been offline longer than the grace period
+  "/health": (req, res) => {
+    const { status, body } = health();
+    send(res, status, body);
+  },
+
+  // readiness: only while the WhatsApp socket is open
+  "/ready": (req, res) => {
+    const state = getConnectionState();
+    const ready = state.connection === "open" && !state.halted;
+    send(res, ready ? 200 : 503, { ready, connection: state.connection, halted: state.halted });
+  },
+
+  "/metrics": (req, res) => send(res, 200, renderMetrics(), "text/plain; version=0.0.4"),
+
+  "/login": (req, res, url) => {
+    if (!config.LOGIN_TOKEN) return send(res, 404, { error: "Not found" });
+    if (!tokenMatches(req, url)) return send(res, 401, { error: "Invalid token" });
+
+    const state = getLoginState();
+    const connection = getConnectionState();
+    if (url.searchParams.get("format") === "json") {
+      return send(res, 200, { connection: connection.connection, qr: state.qr, pairingCode: state.pairingCode, updatedAt: state.updatedAt });
+    }
+    send(res, 200, loginPage(state, connection), "text/html");
+  }
+};
+
+/**
+ * Starts the health/metrics server when PORT is set. Safe to call more than
+ * once; only the first call opens the port.
+ */
+export function startServer() {
+  if (server || !config.PORT) return server;
+
+  server = http.createServer((req, res) => {
+    let url;
+    try {
+      url = new URL(req.url, "http://localhost");
+    } catch {
+      return send(res, 400, { error: "Bad request" });
+    }
+    const route = routes[url.pathname.replace(/\/+$/, "") || "/"];
+    if (req.method !== "GET" && req.method !== "HEAD") return send(res, 405, { error: "Method not allowed" });
+    if (!route) return send(res, 404, { error: "Not found" });
+    try {
+      route(req, res, url);
+    } catch (err) {
+      log.error(`${url.pathname} failed:`, err);
+      send(res, 500, { error: "Internal error" });
+    }
+  });
+
+  server.on("error", (err) => log.error(`HTTP server error: ${err.message}`));
+  server.listen(config.PORT, () => log.info(`HTTP server listening on port ${config.PORT}`));
+  return server;
+}
+
+export function stopServer() {
+  return new Promise((resolve) => {
+    if (!server) return resolve();
+    server.close(() => resolve());
+    // don't let idle keep-alive connections hold up shutdown
+    server.closeAllConnections();
+    server = null;
+  });
+}
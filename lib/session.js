@@ -0,0 +1,173 @@
+// lib/session.js
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import { config } from "../config.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("session");
+
+export const SESSIONS_DIR = path.resolve("sessions");
+
+const MEGA_PREFIX = "Silva~";
+const BUNDLE_PREFIX = "SilvaZ~";
+const ENCRYPTED_PREFIX = "SilvaE~";
+const FILE_PREFIX = "file:";
+const MEGA_TIMEOUT_MS = 25_000;
+
+// ---- bundle helpers --------------------------------------------------------
+// a bundle is { "<file name>": "<file contents>" } for files in the sessions dir
+
+function packBundle(files) {
+  return zlib.gzipSync(Buffer.from(JSON.stringify(files))).toString("base64");
+}
+
+function unpackBundle(b64) {
+  const json = zlib.gunzipSync(Buffer.from(b64, "base64")).toString("utf8");
+  const bundle = JSON.parse(json);
+  if (!bundle["creds.json"]) throw new Error("bundle has no creds.json");
+  return bundle;
+}
+
+function deriveKey(salt) {
+  if (!config.SESSION_KEY) throw new Error("SESSION_KEY is not set");
+  return crypto.scryptSync(config.SESSION_KEY, salt, 32);
+}
+
+// AES-256-GCM; output is base64(salt | iv | tag | ciphertext)
+function encrypt(text) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", deriveKey(salt), iv);
+  const data = Buffer.concat([cipher.update(text, "utf8"), cipher.final()]);
+  return Buffer.concat([salt, iv, cipher.getAuthTag(), data]).toString("base64");
+}
+
+function decrypt(b64) {
+  const raw = Buffer.from(b64, "base64");
+  const salt = raw.subarray(0, 16);
+  const iv = raw.subarray(16, 28);
+  const tag = raw.subarray(28, 44);
+  const decipher = crypto.createDecipheriv("aes-256-gcm", deriveKey(salt), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(raw.subarray(44)), decipher.final()]).toString("utf8");
+}
+
+function writeBundle(dir, bundle) {
+  fs.mkdirSync(dir, { recursive: true });
+  for (const [name, contents] of Object.entries(bundle)) {
+    // never let a bundle write outside the sessions dir
+    if (name !== path.basename(name)) continue;
+    fs.writeFileSync(path.join(dir, name), contents);
+  }
+}
+
+// ---- providers -------------------------------------------------------------
+// each provider: { name, matches(sessionId), restore(dir, sessionId) }
+
+async function downloadFromMega(code) {
+  const megaMod = await import("megajs").catch(() => null);
+  const mega = megaMod?.default || megaMod;
+  if (!mega?.File) throw new Error("megajs unavailable");
+
+  const file = mega.File.fromURL(`https://mega.nz/file/${code}`);
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error("Mega timeout")), MEGA_TIMEOUT_MS);
+    file.download((err, data) => {
+      clearTimeout(timeout);
+      if (err) reject(err);
+      else resolve(data);
+    });
+  });
+}
+
+export const sessionProviders = [
+  {
+    name: "mega",
+    matches: (id) => id.startsWith(MEGA_PREFIX),
+    restore: async (dir, id) => {
+      const data = await downloadFromMega(id.slice(MEGA_PREFIX.length));
+      writeBundle(dir, { "creds.json": data.toString("utf8") });
+    }
+  },
+  {
+    name: "bundle",
+    matches: (id) => id.startsWith(BUNDLE_PREFIX),
+    restore: async (dir, id) => writeBundle(dir, unpackBundle(id.slice(BUNDLE_PREFIX.length)))
+  },
+  {
+    name: "encrypted",
+    matches: (id) => id.startsWith(ENCRYPTED_PREFIX),
+    restore: async (dir, id) => writeBundle(dir, unpackBundle(decrypt(id.slice(ENCRYPTED_PREFIX.length))))
+  },
+  {
+    name: "encrypted-file",
+    matches: (id) => id.startsWith(FILE_PREFIX),
+    restore: async (dir, id) => {
+      const contents = fs.readFileSync(path.resolve(id.slice(FILE_PREFIX.length)), "utf8").trim();
+      const payload = contents.startsWith(ENCRYPTED_PREFIX) ? contents : `${ENCRYPTED_PREFIX}${contents}`;
+      writeBundle(dir, unpackBundle(decrypt(payload.slice(ENCRYPTED_PREFIX.length))));
+    }
+  },
+  {
+    // plain base64 of a creds.json, as produced by most pairing sites
+    name: "base64",
+    matches: (id) => /^[A-Za-z0-9+/=]+$/.test(id) && id.length > 100,
+    restore: async (dir, id) => {
+      const json = Buffer.from(id, "base64").toString("utf8");
+      if (!JSON.parse(json).noiseKey) throw new Error("not a creds.json");
+      writeBundle(dir, { "creds.json": json });
+    }
+  }
+];
+
+/**
+ * Makes sure the sessions dir holds credentials before the socket starts.
+ * Local credentials always win; otherwise SESSION_ID is handed to the first
+ * provider that recognises it. Returns the provider name used, or null when
+ * the bot has to log in with a QR or pairing code.
+ */
+export async function restoreSession(dir = SESSIONS_DIR) {
+  if (fs.existsSync(path.join(dir, "creds.json"))) {
+    log.info("Session exists locally — skip restore.");
+    return "local";
+  }
+
+  const sessionId = (config.SESSION_ID || "").trim();
+  const provider = sessionId && sessionProviders.find((p) => p.matches(sessionId));
+  if (!provider) {
+    log.info("SESSION_ID invalid or missing — QR or pairing code login required.");
+    return null;
+  }
+
+  try {
+    log.info(`⬇ Restoring session (${provider.name})...`);
+    await provider.restore(dir, sessionId);
+    log.info("✅ Session restored.");
+    return provider.name;
+  } catch (err) {
+    log.error(`Restore via ${provider.name} failed: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Packs the current credentials into a SESSION_ID string. With `encrypted`
+ * the bundle is sealed with SESSION_KEY and only usable where the same key is set.
+ */
+export function exportSession({ encrypted = false, dir = SESSIONS_DIR } = {}) {
+  const credsPath = path.join(dir, "creds.json");
+  if (!fs.existsSync(credsPath)) throw new Error("No session to export yet.");
+
+  const bundle = packBundle({ "creds.json": fs.readFileSync(credsPath, "utf8") });
+  return encrypted ? `${ENCRYPTED_PREFIX}${encrypt(bundle)}` : `${BUNDLE_PREFIX}${bundle}`;
+}
+
+// moves the sessions dir aside instead of deleting it, so a bad logout can be undone
+export function backupSession(dir = SESSIONS_DIR) {
+  if (!fs.existsSync(dir)) return null;
+  const backup = `${dir}-backup-${new Date().toISOString().replace(/[:.]/g, "-")}`;
+  fs.renameSync(dir, backup);
+  return backup;
+}
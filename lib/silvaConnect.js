@@ -1,283 +1,399 @@
 // lib/silvaConnect.js
 import pkg from "@whiskeysockets/baileys";
 import fs from "fs";
-import path from "path";
 import pino from "pino";
-import chalk from "chalk";
-import { loadPlugins, handleMessage } from "./handler.js";
+import { loadPlugins, watchPlugins, handleMessage, invalidateGroupMetadata } from "./handler.js";
+import { handleStatus } from "./status.js";
+import { safeGetUserJid } from "./utils.js";
+import { flush, startAutoFlush } from "./database.js";
+import { rememberMessage, handleMessageUpdates } from "./antidelete.js";
+import { getMessage } from "./messageStore.js";
+import { getPollMessage, offerMessage, offerPollUpdates, setCollectorHooks } from "./collector.js";
+import { handleParticipantsUpdate } from "./greetings.js";
+import { startScheduler } from "./scheduler.js";
+import { createChatQueue } from "./queue.js";
+import { cleanupTempFiles } from "./media.js";
+import { SESSIONS_DIR, restoreSession, backupSession } from "./session.js";
+import { config, globalContextInfo } from "../config.js";
+import { createLogger } from "./logger.js";
+import { defineCounter, defineGauge, incCounter } from "./metrics.js";
+import { stopServer } from "./server.js";
 
 const {
   makeWASocket,
   useMultiFileAuthState,
-  downloadContentFromMessage,
-  fetchLatestBaileysVersion
+  fetchLatestBaileysVersion,
+  DisconnectReason
 } = pkg;
 
-const __dirname = path.resolve();
+const log = createLogger("connection");
 
-export const globalContextInfo = {
-  forwardingScore: 999,
-  isForwarded: true,
-  forwardedNewsletterMessageInfo: {
-    newsletterJid: "120363200367779016@newsletter",
-    newsletterName: "◢◤ Silva Tech Nexus ◢◤",
-    serverMessageId: 144
-  }
-};
+// kept for older plugins that import it from here; the definition lives in config.js
+export { globalContextInfo };
 
-const STATUS_SAVER_ENABLED = false;
-const LOG_RATE_LIMIT_MS = 2500;
-const MAX_CACHE = 800;
-const MESSAGE_PROCESS_DELAY_MS = 75;
 const MEMORY_WARN_THRESHOLD_MB = 400;
 const MEMORY_CRITICAL_MB = 512;
 const MAX_RECONNECTS = 8;
+const SHUTDOWN_TIMEOUT_MS = 5000;
 
-const lastLogAt = new Map();
-function logMessage(type, msg) {
-  const now = Date.now();
-  const last = lastLogAt.get(type) || 0;
-  if (now - last < LOG_RATE_LIMIT_MS) return;
-  lastLogAt.set(type, now);
-
-  const colors = {
-    INFO: chalk.cyan,
-    ERROR: chalk.red,
-    SUCCESS: chalk.green,
-    EVENT: chalk.yellow,
-    DEBUG: chalk.gray,
-    WARN: chalk.yellow
-  };
-  const fn = colors[type] || ((t) => t);
-  console.log(fn(`[${type}]`), msg);
+// latest QR / pairing code while waiting for login
+const loginState = { qr: null, pairingCode: null, updatedAt: 0 };
+
+export function getLoginState() {
+  return { ...loginState };
+}
+
+// last connection.update state, read by the HTTP health/ready endpoints;
+// `since` only moves when the bot goes online or offline, not on every retry;
+// `halted` means the bot gave up reconnecting and needs a restart
+const connectionState = { connection: "connecting", since: Date.now(), lastDisconnectCode: null, halted: false };
+
+export function getConnectionState() {
+  return { ...connectionState };
 }
 
-function safeGetUserJid(sock) {
+defineCounter("silva_reconnects_total", "Reconnect attempts after the connection closed");
+defineGauge("silva_connection_open", "1 while connected to WhatsApp", () => (connectionState.connection === "open" ? 1 : 0));
+
+/**
+ * What to do after the socket closes, by Baileys DisconnectReason:
+ * - logout:  credentials are no longer valid — back them up and stop
+ * - reset:   credentials are corrupt — back them up and log in again (QR / pairing code)
+ * - halt:    another client took over the session — stop reconnecting but keep running
+ * - restart: WhatsApp asked for a fresh socket — reconnect immediately
+ * - backoff: network trouble — reconnect with exponential backoff (the default)
+ */
+const DISCONNECT_STRATEGIES = {
+  [DisconnectReason.loggedOut]: "logout",
+  [DisconnectReason.multideviceMismatch]: "logout",
+  [DisconnectReason.forbidden]: "logout",
+  [DisconnectReason.badSession]: "reset",
+  [DisconnectReason.connectionReplaced]: "halt",
+  [DisconnectReason.restartRequired]: "restart",
+  [DisconnectReason.connectionLost]: "backoff",
+  [DisconnectReason.connectionClosed]: "backoff",
+  [DisconnectReason.timedOut]: "backoff",
+  [DisconnectReason.unavailableService]: "backoff"
+};
+
+// everything below lives for the whole process; a reconnect only replaces the socket
+let sock = null;
+let saveCreds = null;
+let detachSocket = null;
+let baileysVersion = null;
+let reconnectAttempts = 0;
+let reconnectTimer = null;
+let watchdog = null;
+let started = false;
+let shuttingDown = false;
+let announced = false;
+
+const openWaiters = [];
+
+export function getSocket() {
+  return sock;
+}
+
+// resolves with the socket once the connection is open (immediately if it already is)
+function whenOpen() {
+  if (sock && connectionState.connection === "open") return Promise.resolve(sock);
+  return new Promise((resolve) => openWaiters.push(resolve));
+}
+
+// one queue per chat keeps order inside a chat while other chats keep moving;
+// it outlives the socket, so messages still queued are handled after a reconnect
+const messageQueue = createChatQueue({
+  concurrency: config.QUEUE_CONCURRENCY,
+  maxPending: config.QUEUE_MAX_PENDING,
+  maxPerChat: config.QUEUE_MAX_PER_CHAT,
+  worker: async (msg) => {
+    const conn = await whenOpen();
+    if (msg.message) await handleMessage(conn, msg);
+  },
+  onDrop: (msg, chatId, depth) =>
+    log.warn(`Queue full (${depth} waiting) — dropped message from ${chatId}`),
+  onError: (err) => log.error(`processQueue error: ${err.message}`)
+});
+
+// statuses get their own queue and cap, so a burst of them can't push out commands
+const statusQueue = createChatQueue({
+  concurrency: 1,
+  maxPending: config.STATUS_QUEUE_MAX,
+  maxPerChat: config.STATUS_QUEUE_MAX,
+  worker: async (msg) => handleStatus(await whenOpen(), msg),
+  onDrop: (msg, chatId, depth) => log.debug(`Status queue full (${depth} waiting) — dropped a status`),
+  onError: (err) => log.error(`Status handling error: ${err.message}`)
+});
+
+// a plugin waiting for the user's answer shouldn't hold up other chats
+setCollectorHooks({ wait: (chat) => messageQueue.park(chat), resume: (chat) => messageQueue.unpark(chat) });
+
+defineGauge("silva_queue_depth", "Messages waiting in the per-chat queue", () => messageQueue.depth());
+defineGauge("silva_queue_active_chats", "Chats with a message being processed", () => messageQueue.activeChats());
+defineGauge("silva_status_queue_depth", "Status updates waiting to be handled", () => statusQueue.depth());
+
+function backupCredentials() {
+  // the old auth state must not write creds.json back into the emptied folder
+  saveCreds = null;
   try {
-    const id = sock?.user?.id || sock?.user?.wa || sock?.user;
-    if (!id) return null;
-    return id.includes(":") ? `${id.split(":")[0]}@s.whatsapp.net` : id;
-  } catch {
-    return null;
+    const backup = backupSession();
+    if (backup) log.info(`Old session moved to ${backup}`);
+  } catch (err) {
+    log.error(`Session backup failed: ${err.message}`);
   }
 }
 
-async function tryDownloadSessionFromMega() {
-  const sessionsDir = path.join(__dirname, "sessions");
-  const sessionPath = path.join(sessionsDir, "creds.json");
-  if (fs.existsSync(sessionPath)) {
-    logMessage("INFO", "Session exists locally — skip download.");
-    return true;
-  }
+function scheduleReconnect(delay) {
+  clearTimeout(reconnectTimer);
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    connect().catch((err) => {
+      log.error(`Reconnect failed: ${err.message}`);
+      handleClose(undefined);
+    });
+  }, delay);
+}
+
+function handleClose(code) {
+  const strategy = DISCONNECT_STRATEGIES[code] || "backoff";
+  log.warn(`Connection closed (${code || "unknown"}) — ${strategy}`);
 
-  const sess = process.env.SESSION_ID;
-  if (!sess || !sess.startsWith("Silva~")) {
-    logMessage("DEBUG", "SESSION_ID invalid or missing — QR auth required.");
-    return false;
+  if (strategy === "logout") {
+    log.error("Session was logged out. Backing up credentials and stopping.");
+    detachSocket?.();
+    backupCredentials();
+    return shutdown(1);
   }
 
-  const code = sess.replace("Silva~", "");
-  logMessage("INFO", "⬇ Downloading session from Silva servers...");
+  if (strategy === "halt") {
+    log.error("Session was opened on another instance. Not reconnecting — restart the bot to take it back.");
+    connectionState.halted = true;
+    detachSocket?.();
+    return;
+  }
 
-  try {
-    const megaMod = await import("megajs").catch(() => null);
-    const mega = megaMod?.default || megaMod;
-    if (!mega?.File) {
-      logMessage("ERROR", "megajs unavailable — skipping session download.");
-      return false;
-    }
+  if (strategy === "reset") {
+    log.error("Session is corrupt. Backing up credentials and starting a fresh login.");
+    detachSocket?.();
+    backupCredentials();
+    return scheduleReconnect(0);
+  }
 
-    const file = mega.File.fromURL(`https://mega.nz/file/${code}`);
-    const data = await new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => reject(new Error("Mega timeout")), 25000);
-      file.download((err, data) => {
-        clearTimeout(timeout);
-        if (err) reject(err);
-        else resolve(data);
-      });
-    });
+  if (strategy === "restart") return scheduleReconnect(0);
 
-    if (!fs.existsSync(sessionsDir)) fs.mkdirSync(sessionsDir, { recursive: true });
-    fs.writeFileSync(sessionPath, data);
-    logMessage("SUCCESS", "✅ Session downloaded successfully.");
-    return true;
-  } catch (err) {
-    logMessage("ERROR", `Session download failed: ${err.message}`);
-    return false;
+  reconnectAttempts++;
+  incCounter("silva_reconnects_total");
+  if (reconnectAttempts > MAX_RECONNECTS) {
+    log.error("Max reconnects reached. Stopping process.");
+    return shutdown(1);
   }
+  scheduleReconnect(Math.min(5000 * 1.5 ** (reconnectAttempts - 1), 60_000));
 }
 
-export async function silvaConnect() {
-  try {
-    await tryDownloadSessionFromMega();
-  } catch (e) {
-    logMessage("WARN", `Session download attempt failed: ${e.message}`);
-  }
+// builds a new socket, retiring the previous one and every listener attached to it
+async function connect() {
+  detachSocket?.();
 
-  const sessionsDir = path.join(__dirname, "sessions");
-  if (!fs.existsSync(sessionsDir)) fs.mkdirSync(sessionsDir, { recursive: true });
+  if (!fs.existsSync(SESSIONS_DIR)) fs.mkdirSync(SESSIONS_DIR, { recursive: true });
+  const auth = await useMultiFileAuthState(SESSIONS_DIR);
+  saveCreds = auth.saveCreds;
+  baileysVersion ??= (await fetchLatestBaileysVersion()).version;
 
-  const { state, saveCreds } = await useMultiFileAuthState("./sessions");
-  const { version } = await fetchLatestBaileysVersion();
+  const pairingNumber = config.PAIRING_NUMBER.replace(/[^0-9]/g, "");
+  let pairingRequested = false;
 
-  const sock = makeWASocket({
-    logger: pino({ level: "silent" }),
-    printQRInTerminal: true,
-    auth: state,
-    version,
+  const socket = makeWASocket({
+    logger: pino({ level: config.BAILEYS_LOG_LEVEL }),
+    printQRInTerminal: !pairingNumber,
+    auth: auth.state,
+    version: baileysVersion,
     browser: ["Silva MD Pro", "Chrome", "4.0.0"],
     markOnlineOnConnect: false,
     generateHighQualityLinkPreview: false,
-    defaultQueryTimeoutMs: 30_000
+    defaultQueryTimeoutMs: 30_000,
+    // needed to decrypt poll votes and retry failed sends
+    getMessage: async (key) => getPollMessage(key.id) || getMessage(key.remoteJid, key.id)?.message || undefined
   });
-
-  const messageCache = new Map();
-
-  try {
-    await loadPlugins();
-  } catch (err) {
-    logMessage("ERROR", `Plugin load failed: ${err.message}`);
-  }
-
-  let reconnectCount = 0;
-  sock.ev.on("connection.update", (update) => {
-    const { connection, lastDisconnect, qr } = update;
-
-    if (connection === "open") {
-      reconnectCount = 0;
-      logMessage("SUCCESS", "🟢 Connected to WhatsApp!");
-      const jid = safeGetUserJid(sock);
-      if (jid) {
-        sock.sendMessage(jid, {
-          text: `✅ *Silva MD Pro is connected*\nAnti-delete active. Plugins loaded.`,
-          contextInfo: globalContextInfo
-        }).catch(() => {});
+  sock = socket;
+
+  const listeners = {
+    "connection.update": (update) => {
+      const { connection, lastDisconnect, qr } = update;
+      if (connection && connection !== connectionState.connection) {
+        if (connection === "open" || connectionState.connection === "open") connectionState.since = Date.now();
+        connectionState.connection = connection;
       }
-    }
 
-    if (connection === "close") {
-      const code = lastDisconnect?.error?.output?.statusCode;
-      logMessage("WARN", `Connection closed (${code || "unknown"})`);
-      if (code === 401) {
-        logMessage("ERROR", "Invalid session. Clearing credentials...");
-        try {
-          fs.rmSync(path.join(__dirname, "sessions"), { recursive: true, force: true });
-        } catch {}
-        process.exit(1);
+      if (connection === "open") {
+        reconnectAttempts = 0;
+        loginState.qr = null;
+        loginState.pairingCode = null;
+        log.info("🟢 Connected to WhatsApp!");
+        for (const resolve of openWaiters.splice(0)) resolve(socket);
+        const jid = safeGetUserJid(socket);
+        if (jid && !announced) {
+          announced = true;
+          socket.sendMessage(jid, {
+            text: `✅ *Silva MD Pro is connected*\nAnti-delete active. Plugins loaded.`,
+            contextInfo: globalContextInfo
+          }).catch(() => {});
+        }
       }
 
-      reconnectCount++;
-      if (reconnectCount > MAX_RECONNECTS) {
-        logMessage("ERROR", "Max reconnects reached. Stopping process.");
-        process.exit(1);
+      if (connection === "close") {
+        const code = lastDisconnect?.error?.output?.statusCode;
+        connectionState.lastDisconnectCode = code ?? null;
+        if (!shuttingDown) handleClose(code);
       }
 
-      const delay = Math.min(5000 * (1.5 ** (reconnectCount - 1)), 60000);
-      setTimeout(() => {
-        silvaConnect().catch(err => logMessage("ERROR", `Reconnect failed: ${err.message}`));
-      }, delay);
-    }
-
-    if (qr && !sock.authState?.creds?.registered)
-      logMessage("INFO", "QR generated — scan to connect.");
-  });
-
-  sock.ev.on("creds.update", saveCreds);
-
-  const messageQueue = [];
-  let processing = false;
-
-  async function processQueue() {
-    if (processing) return;
-    processing = true;
-
-    while (messageQueue.length) {
-      const msg = messageQueue.shift();
-      try {
-        if (msg.key?.remoteJid === "status@broadcast") continue;
-        if (msg.message) await handleMessage(sock, msg);
-      } catch (err) {
-        logMessage("ERROR", `processQueue error: ${err.message}`);
+      if (qr && !socket.authState?.creds?.registered) {
+        loginState.qr = qr;
+        loginState.updatedAt = Date.now();
+
+        // the socket is ready for a pairing request once it has produced a QR
+        if (pairingNumber && !pairingRequested) {
+          pairingRequested = true;
+          socket
+            .requestPairingCode(pairingNumber)
+            .then((code) => {
+              loginState.pairingCode = code;
+              log.info(`🔗 Pairing code for +${pairingNumber}: ${code}`);
+              log.info("WhatsApp → Linked devices → Link with phone number, then enter the code.");
+            })
+            .catch((err) => log.error(`Pairing code request failed: ${err.message}`));
+        } else if (!pairingNumber) {
+          log.info("QR generated — scan to connect.");
+        }
       }
-      await new Promise(r => setTimeout(r, MESSAGE_PROCESS_DELAY_MS));
-    }
+    },
 
-    processing = false;
-  }
+    "creds.update": () => saveCreds?.(),
 
-  sock.ev.on("messages.upsert", ({ messages }) => {
-    if (!Array.isArray(messages) || !messages.length) return;
-    for (const m of messages) {
-      if (!m?.key) continue;
-      if (m.message) {
-        const cacheKey = `${m.key.remoteJid}-${m.key.id}`;
-        messageCache.set(cacheKey, m);
-        if (messageCache.size > MAX_CACHE) {
-          const toRemove = Math.floor(MAX_CACHE * 0.2);
-          for (let i = 0; i < toRemove; i++) messageCache.delete(messageCache.keys().next().value);
+    "messages.upsert": ({ messages }) => {
+      if (!Array.isArray(messages) || !messages.length) return;
+      for (const m of messages) {
+        if (!m?.key?.remoteJid) continue;
+        if (m.key.remoteJid === "status@broadcast") {
+          statusQueue.push(m.key.remoteJid, m);
+          continue;
         }
+        rememberMessage(m);
+        // replies a plugin is waiting for skip the queue that plugin is holding
+        if (offerMessage(socket, m, (raw) => messageQueue.push(raw.key.remoteJid, raw))) continue;
+        messageQueue.push(m.key.remoteJid, m);
       }
-      messageQueue.push(m);
+    },
+
+    "messages.update": (updates) => {
+      offerPollUpdates(updates);
+      handleMessageUpdates(socket, updates).catch((err) =>
+        log.debug(`Recovery failed: ${err.message}`)
+      );
+    },
+
+    "group-participants.update": (update) => {
+      invalidateGroupMetadata(update.id);
+      handleParticipantsUpdate(socket, update).catch((err) =>
+        log.warn(`Participant update failed: ${err.message}`)
+      );
+    },
+
+    "groups.update": (updates) => {
+      for (const { id } of updates || []) if (id) invalidateGroupMetadata(id);
     }
-    processQueue().catch(e => logMessage("ERROR", `Queue error: ${e.message}`));
-  });
+  };
 
-  sock.ev.on("messages.update", async (updates) => {
-    for (const { key, update } of updates) {
-      if (key.remoteJid === "status@broadcast") continue;
-      if (update?.message === null && !key.fromMe) {
-        const cacheKey = `${key.remoteJid}-${key.id}`;
-        const original = messageCache.get(cacheKey);
-        const owner = safeGetUserJid(sock);
-
-        if (!original?.message || !owner) continue;
-        sock.sendMessage(owner, {
-          text: `🚨 *Anti-Delete* — Message recovered from ${key.participant || key.remoteJid}`,
-          contextInfo: globalContextInfo
-        }).catch(() => {});
-
-        const msgObj = original.message;
-        const mType = Object.keys(msgObj)[0];
-
-        try {
-          if (["conversation", "extendedTextMessage"].includes(mType)) {
-            const text = msgObj.conversation || msgObj.extendedTextMessage?.text;
-            await sock.sendMessage(owner, { text, contextInfo: globalContextInfo });
-          } else if (["imageMessage", "videoMessage", "audioMessage", "stickerMessage", "documentMessage"].includes(mType)) {
-            const stream = await downloadContentFromMessage(msgObj[mType], mType.replace("Message", ""));
-            let buffer = Buffer.from([]);
-            for await (const chunk of stream) buffer = Buffer.concat([buffer, chunk]);
-            const field = mType.replace("Message", "");
-            const payload = { [field]: buffer, contextInfo: globalContextInfo };
-            if (msgObj[mType]?.caption) payload.caption = msgObj[mType].caption;
-            await sock.sendMessage(owner, payload);
-          }
-        } catch (err) {
-          logMessage("DEBUG", `Recovery failed: ${err.message}`);
-        }
-      }
+  for (const [event, fn] of Object.entries(listeners)) socket.ev.on(event, fn);
+
+  detachSocket = () => {
+    for (const [event, fn] of Object.entries(listeners)) socket.ev.off(event, fn);
+    try {
+      socket.end(undefined);
+    } catch {
+      // already closed
     }
-  });
+    if (sock === socket) sock = null;
+    detachSocket = null;
+  };
+
+  return socket;
+}
 
-  setInterval(() => {
+function startWatchdog() {
+  watchdog = setInterval(() => {
     const usedMB = process.memoryUsage().rss / 1024 / 1024;
     if (usedMB > MEMORY_WARN_THRESHOLD_MB) {
-      logMessage("WARN", `Memory high: ${Math.round(usedMB)} MB — trimming cache.`);
-      const keep = Math.max(16, Math.floor(MAX_CACHE * 0.2));
-      while (messageCache.size > keep) messageCache.delete(messageCache.keys().next().value);
+      log.warn(`Memory high: ${Math.round(usedMB)} MB — forcing GC.`);
       if (global.gc) global.gc();
     }
     if (usedMB > MEMORY_CRITICAL_MB) {
-      logMessage("ERROR", `Memory critical (${Math.round(usedMB)} MB) — restarting.`);
-      process.exit(1);
+      log.error(`Memory critical (${Math.round(usedMB)} MB) — restarting.`);
+      shutdown(1);
     }
   }, 30_000);
+  watchdog.unref();
+}
 
-  process.on("unhandledRejection", (r) => logMessage("ERROR", `UnhandledRejection: ${String(r)}`));
-  process.on("uncaughtException", (e) => {
-    logMessage("ERROR", `UncaughtException: ${e?.message}`);
-    setTimeout(() => process.exit(1), 800);
-  });
+/**
+ * Stops reconnecting, closes the socket and writes creds and the database to
+ * disk before exiting. A stuck write cannot hold the process for longer than
+ * SHUTDOWN_TIMEOUT_MS.
+ */
+export async function shutdown(code = 0) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  log.info(`Shutting down (exit code ${code})...`);
 
-  return sock;
+  setTimeout(() => process.exit(code), SHUTDOWN_TIMEOUT_MS).unref();
+  clearTimeout(reconnectTimer);
+  clearInterval(watchdog);
+
+  try {
+    await saveCreds?.();
+  } catch (err) {
+    log.error(`Saving credentials failed: ${err.message}`);
+  }
+  detachSocket?.();
+  await stopServer();
+  flush();
+  process.exit(code);
+}
+
+/**
+ * Starts the bot. Process-wide setup (plugins, watchdog, signal and crash
+ * handlers) runs once; later calls return the current socket or open one.
+ */
+export async function silvaConnect() {
+  if (!started) {
+    started = true;
+    startAutoFlush();
+    cleanupTempFiles();
+
+    try {
+      await restoreSession();
+    } catch (e) {
+      log.warn(`Session restore attempt failed: ${e.message}`);
+    }
+
+    try {
+      await loadPlugins();
+      watchPlugins();
+    } catch (err) {
+      log.error(`Plugin load failed: ${err.message}`);
+    }
+
+    startScheduler((chatId, content) => sock.sendMessage(chatId, content), {
+      ready: () => !!sock && connectionState.connection === "open"
+    });
+    startWatchdog();
+    process.on("SIGTERM", () => shutdown(0));
+    process.on("SIGINT", () => shutdown(0));
+    process.on("unhandledRejection", (r) => log.error(`UnhandledRejection: ${String(r)}`));
+    process.on("uncaughtException", (e) => {
+      log.fatal("UncaughtException:", e);
+      shutdown(1);
+    });
+  }
+
+  return sock || connect();
 }
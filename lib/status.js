@@ -0,0 +1,138 @@
+// lib/status.js
+import pkg from "@whiskeysockets/baileys";
+import fs from "fs";
+import path from "path";
+import { config, globalContextInfo } from "../config.js";
+import { jidToNumber as toNumber, safeGetUserJid } from "./utils.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("status");
+
+const { downloadContentFromMessage } = pkg;
+
+const MEDIA_TYPES = ["imageMessage", "videoMessage", "audioMessage"];
+
+export function isStatusAllowed(jid) {
+  const number = toNumber(jid);
+  if (!number) return false;
+  const allowList = config.STATUS_ALLOW_LIST.map(toNumber).filter(Boolean);
+  if (config.STATUS_DENY_LIST.some((n) => toNumber(n) === number)) return false;
+  if (allowList.length && !allowList.includes(number)) return false;
+  return true;
+}
+
+function randomEmoji() {
+  const reactEmojis = config.CUSTOM_REACT_EMOJIS;
+  if (!reactEmojis.length) return "💚";
+  return reactEmojis[Math.floor(Math.random() * reactEmojis.length)];
+}
+
+async function downloadMedia(content, mType) {
+  const stream = await downloadContentFromMessage(content, mType.replace("Message", ""));
+  let buffer = Buffer.from([]);
+  for await (const chunk of stream) buffer = Buffer.concat([buffer, chunk]);
+  return buffer;
+}
+
+function extensionFor(mType, mimetype = "") {
+  if (mType === "imageMessage") return mimetype.includes("png") ? "png" : "jpg";
+  if (mType === "videoMessage") return "mp4";
+  if (mType === "audioMessage") return "ogg";
+  return "txt";
+}
+
+async function saveStatus(sock, m, poster, ownerJid) {
+  const msgObj = m.message;
+  const mType = Object.keys(msgObj).find((k) => k !== "messageContextInfo");
+  const header = `📥 *Status saved* from @${toNumber(poster)}`;
+
+  if (["conversation", "extendedTextMessage"].includes(mType)) {
+    const text = msgObj.conversation || msgObj.extendedTextMessage?.text || "";
+    if (!text) return false;
+
+    if (config.STATUS_SAVE_TARGET === "disk") {
+      fs.mkdirSync(config.STATUS_SAVE_DIR, { recursive: true });
+      const file = path.join(config.STATUS_SAVE_DIR, `${toNumber(poster)}_${m.key.id}.txt`);
+      fs.writeFileSync(file, text);
+    } else {
+      await sock.sendMessage(ownerJid, {
+        text: `${header}\n\n${text}`,
+        mentions: [poster],
+        contextInfo: { ...globalContextInfo, mentionedJid: [poster] }
+      });
+    }
+    return true;
+  }
+
+  if (!MEDIA_TYPES.includes(mType)) return false;
+
+  const content = msgObj[mType];
+  const buffer = await downloadMedia(content, mType);
+
+  if (config.STATUS_SAVE_TARGET === "disk") {
+    fs.mkdirSync(config.STATUS_SAVE_DIR, { recursive: true });
+    const file = path.join(
+      config.STATUS_SAVE_DIR,
+      `${toNumber(poster)}_${m.key.id}.${extensionFor(mType, content.mimetype)}`
+    );
+    fs.writeFileSync(file, buffer);
+  } else {
+    const field = mType.replace("Message", "");
+    const payload = {
+      [field]: buffer,
+      mentions: [poster],
+      contextInfo: { ...globalContextInfo, mentionedJid: [poster] }
+    };
+    if (field !== "audio") payload.caption = content.caption ? `${header}\n\n${content.caption}` : header;
+    if (content.mimetype) payload.mimetype = content.mimetype;
+    await sock.sendMessage(ownerJid, payload);
+  }
+  return true;
+}
+
+/**
+ * Runs the status@broadcast pipeline for a single incoming status update:
+ * mark as seen, react, auto-reply and (optionally) save it.
+ */
+export async function handleStatus(sock, m) {
+  if (m.key?.fromMe || !m.message) return;
+  if (m.message.protocolMessage || m.message.reactionMessage) return;
+
+  const poster = m.key.participant || m.participant;
+  if (!poster || !isStatusAllowed(poster)) return;
+
+  const ownerJid = safeGetUserJid(sock);
+
+  if (config.AUTO_STATUS_SEEN) {
+    await sock.readMessages([m.key]).catch((err) =>
+      log.error(`Failed to mark status as seen: ${err.message}`)
+    );
+  }
+
+  if (config.AUTO_STATUS_REACT) {
+    await sock
+      .sendMessage(
+        "status@broadcast",
+        { react: { text: randomEmoji(), key: m.key } },
+        { statusJidList: ownerJid ? [poster, ownerJid] : [poster] }
+      )
+      .catch((err) => log.error(`Failed to react: ${err.message}`));
+  }
+
+  if (config.AUTO_STATUS_REPLY && config.AUTO_STATUS_MSG) {
+    await sock
+      .sendMessage(poster, { text: config.AUTO_STATUS_MSG, contextInfo: globalContextInfo }, { quoted: m })
+      .catch((err) => log.error(`Failed to reply: ${err.message}`));
+  }
+
+  if (config.STATUS_SAVER && ownerJid) {
+    try {
+      const saved = await saveStatus(sock, m, poster, ownerJid);
+      if (saved && config.STATUS_REPLY && config.STATUS_MSG) {
+        await sock.sendMessage(poster, { text: config.STATUS_MSG, contextInfo: globalContextInfo }, { quoted: m });
+      }
+    } catch (err) {
+      log.error(`Failed to save status: ${err.message}`);
+    }
+  }
+}
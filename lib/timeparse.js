@@ -0,0 +1,208 @@
+// lib/timeparse.js
+// Parses the <when> part of remind/schedule. All times are server-local (set TZ to change).
+
+const UNITS = {
+  s: 1000, sec: 1000, secs: 1000, second: 1000, seconds: 1000,
+  m: 60_000, min: 60_000, mins: 60_000, minute: 60_000, minutes: 60_000,
+  h: 3_600_000, hr: 3_600_000, hrs: 3_600_000, hour: 3_600_000, hours: 3_600_000,
+  d: 86_400_000, day: 86_400_000, days: 86_400_000,
+  w: 604_800_000, week: 604_800_000, weeks: 604_800_000
+};
+
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "weekday", min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+// a year and a day: every valid rule matches within that
+const CRON_SEARCH_LIMIT_MS = 367 * 86_400_000;
+
+// "2h30m" -> ms; null when the token isn't a compact duration
+function compactDuration(token) {
+  const parts = [...token.matchAll(/(\d+)([a-z]+)/g)];
+  if (!parts.length || parts.map((p) => p[0]).join("") !== token) return null;
+  let total = 0;
+  for (const [, n, unit] of parts) {
+    if (!UNITS[unit]) return null;
+    total += Number(n) * UNITS[unit];
+  }
+  return total;
+}
+
+// consumes "2h", "1h 30m", "2 hours 10 minutes" from the start of tokens
+function parseDuration(tokens) {
+  let total = 0;
+  let used = 0;
+  while (used < tokens.length) {
+    const token = tokens[used].toLowerCase();
+    const compact = compactDuration(token);
+    if (compact) {
+      total += compact;
+      used++;
+    } else if (/^\d+$/.test(token) && UNITS[tokens[used + 1]?.toLowerCase()]) {
+      total += Number(token) * UNITS[tokens[used + 1].toLowerCase()];
+      used += 2;
+    } else break;
+  }
+  return used ? { ms: total, used } : null;
+}
+
+// "14:30", "9am", "9:15pm" -> [hours, minutes]
+function parseClock(token = "") {
+  const match = token.toLowerCase().match(/^(\d{1,2})(?::(\d{2}))?(am|pm)?$/);
+  if (!match || (!match[2] && !match[3])) return null;
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  if (match[3]) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (match[3] === "pm" ? 12 : 0);
+  }
+  if (hours > 23 || minutes > 59) return null;
+  return [hours, minutes];
+}
+
+function parseCronField(expr, { name, min, max }) {
+  const values = new Set();
+  for (const part of expr.split(",")) {
+    const match = part.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+    if (!match) throw new Error(`Invalid ${name} field "${expr}"`);
+    const start = match[1] === "*" ? min : Number(match[1]);
+    const end = match[1] === "*" ? max : match[2] !== undefined ? Number(match[2]) : match[3] ? max : start;
+    const step = Number(match[3] || 1);
+    if (start < min || end > max || start > end || step < 1) throw new Error(`${name} must be between ${min} and ${max}`);
+    for (let v = start; v <= end; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parses a five-field cron rule: minute hour day-of-month month day-of-week.
+ * Supports *, lists (1,15), ranges (1-5) and steps (*\/10). Throws on bad input.
+ */
+export function parseCron(rule) {
+  const fields = rule.trim().split(/\s+/);
+  if (fields.length !== 5) throw new Error("A cron rule needs 5 fields: minute hour day month weekday");
+  const parsed = Object.fromEntries(CRON_FIELDS.map((f, i) => [f.name, parseCronField(fields[i], f)]));
+  if (parsed.weekday.has(7)) parsed.weekday.add(0);
+  // like cron: when both day fields are restricted, either one matching is enough
+  parsed.dayRestricted = fields[2] !== "*";
+  parsed.weekdayRestricted = fields[4] !== "*";
+  return parsed;
+}
+
+function dayMatches(cron, date) {
+  const dom = cron.day.has(date.getDate());
+  const dow = cron.weekday.has(date.getDay());
+  if (cron.dayRestricted && cron.weekdayRestricted) return dom || dow;
+  return dom && dow;
+}
+
+// next time strictly after `from` that matches the rule, or null
+export function nextCronRun(rule, from = Date.now()) {
+  const cron = typeof rule === "string" ? parseCron(rule) : rule;
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = from + CRON_SEARCH_LIMIT_MS;
+
+  while (date.getTime() <= limit) {
+    if (!cron.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!dayMatches(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!cron.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!cron.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date.getTime();
+    }
+  }
+  return null;
+}
+
+/**
+ * Reads a schedule from the start of `tokens` and returns
+ * { at, cron, used } — `at` is the first run (ms), `cron` is set for
+ * recurring rules, `used` is how many tokens belonged to the schedule.
+ * Returns null when the tokens don't start with a schedule.
+ *
+ *   in 2h | 1h30m | 10 minutes              relative
+ *   14:30 | 9am | tomorrow 8:00 | 2026-12-24 18:00 | 24/12 18:00   absolute
+ *   daily 8:00 | weekdays 7am | weekly mon 9:00 | hourly             recurring
+ *   cron 0 8 * * 1-5                                                 cron rule
+ */
+export function parseWhen(tokens, now = Date.now()) {
+  const words = tokens.map((t) => t.toLowerCase());
+  let i = 0;
+
+  const recurring = (rule, used) => {
+    const at = nextCronRun(rule, now);
+    if (!at) throw new Error(`"${rule}" never matches a real date.`);
+    return { at, cron: rule, used };
+  };
+
+  if (words[0] === "cron") {
+    const rule = tokens.slice(1, 6).join(" ");
+    parseCron(rule);
+    return recurring(rule, 6);
+  }
+  if (words[0] === "hourly") return recurring("0 * * * *", 1);
+  if (["daily", "weekdays", "weekly"].includes(words[0])) {
+    let used = 1;
+    let weekday = "*";
+    if (words[0] === "weekdays") weekday = "1-5";
+    if (words[0] === "weekly") {
+      const day = WEEKDAYS.indexOf(words[1]?.slice(0, 3));
+      if (day === -1) throw new Error("Say which day, e.g. *weekly mon 9:00*");
+      weekday = String(day);
+      used++;
+    }
+    const clock = parseClock(words[used]);
+    if (!clock) throw new Error(`Say what time, e.g. *${words.slice(0, used).join(" ")} 8:00*`);
+    return recurring(`${clock[1]} ${clock[0]} * * ${weekday}`, used + 1);
+  }
+
+  if (words[0] === "in") i = 1;
+  const duration = parseDuration(words.slice(i));
+  if (duration) {
+    if (duration.ms <= 0) throw new Error("The delay must be more than zero.");
+    return { at: now + duration.ms, cron: null, used: i + duration.used };
+  }
+  if (i) return null;
+
+  // absolute: [today|tomorrow|YYYY-MM-DD|DD/MM[/YYYY]] [HH:MM]
+  const base = new Date(now);
+  let explicitDay = false;
+  if (words[0] === "today" || words[0] === "tomorrow") {
+    if (words[0] === "tomorrow") base.setDate(base.getDate() + 1);
+    explicitDay = true;
+    i = 1;
+  } else {
+    const iso = words[0]?.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    const dmy = words[0]?.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{4}))?$/);
+    if (iso) base.setFullYear(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+    if (dmy) base.setFullYear(Number(dmy[3] || base.getFullYear()), Number(dmy[2]) - 1, Number(dmy[1]));
+    if (iso || dmy) {
+      explicitDay = true;
+      i = 1;
+    }
+  }
+
+  const clock = parseClock(words[i]);
+  if (!clock && !explicitDay) return null;
+  base.setHours(clock ? clock[0] : 9, clock ? clock[1] : 0, 0, 0);
+  if (clock) i++;
+
+  // a bare time that already passed today means tomorrow
+  if (!explicitDay && base.getTime() <= now) base.setDate(base.getDate() + 1);
+  if (base.getTime() <= now) throw new Error("That time is in the past.");
+  return { at: base.getTime(), cron: null, used: i };
+}
@@ -0,0 +1,18 @@
+// lib/utils.js
+import pkg from "@whiskeysockets/baileys";
+
+const { jidNormalizedUser } = pkg;
+
+// "254700143167:12@s.whatsapp.net" / "+254 700 143167" -> "254700143167"
+export function jidToNumber(jid = "") {
+  return String(jid).split("@")[0].split(":")[0].replace(/[^0-9]/g, "");
+}
+
+export function safeGetUserJid(sock) {
+  try {
+    const id = sock?.user?.id;
+    return id ? jidNormalizedUser(id) : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,250 @@
+// lib/youtube.js
+import ytSearch from "yt-search";
+import { config, globalContextInfo } from "../config.js";
+import { resolveMedia } from "./providers.js";
+import { downloadToTemp, pickMediaKind, sendMedia } from "./media.js";
+import { awaitReply } from "./collector.js";
+import { createChatQueue } from "./queue.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("youtube");
+
+export const VIDEO_QUALITIES = ["144p", "240p", "360p", "480p", "720p", "1080p"];
+export const AUDIO_BITRATES = ["64k", "128k", "192k", "256k", "320k"];
+
+const CHOICES = 5;
+const CHOICE_TIMEOUT_MS = 60_000;
+const YT_HOSTS = /^(?:www\.|m\.|music\.)?(?:youtube\.com|youtube-nocookie\.com|youtu\.be)$/i;
+
+const MODES = {
+  audio: {
+    platform: "youtube-audio",
+    fallback: "audio",
+    allowed: ["audio", "voice", "document"],
+    allowedTypes: ["audio/", "video/mp4", "application/octet-stream"],
+    mimetype: "audio/mpeg",
+    ext: "mp3"
+  },
+  video: {
+    platform: "youtube-video",
+    fallback: "video",
+    allowed: ["video", "document"],
+    allowedTypes: ["video/", "application/octet-stream"],
+    mimetype: "video/mp4",
+    ext: "mp4"
+  }
+};
+
+// playlists are sent one item at a time, bot-wide, so they can't starve other downloads
+const playlistQueue = createChatQueue({
+  concurrency: 1,
+  maxPending: 200,
+  maxPerChat: 100,
+  worker: (task) => task(),
+  onError: (err) => log.error(`Playlist item failed: ${err.message}`)
+});
+
+/**
+ * Recognises YouTube links. Returns { videoId, listId } — a watch link that
+ * also carries a list is treated as that one video — or null.
+ */
+export function parseYouTubeUrl(text) {
+  const raw = String(text || "").match(/https?:\/\/\S+/)?.[0];
+  if (!raw) return null;
+
+  let url;
+  try {
+    url = new URL(raw);
+  } catch {
+    return null;
+  }
+  if (!YT_HOSTS.test(url.hostname)) return null;
+
+  let videoId = url.searchParams.get("v");
+  if (/youtu\.be$/i.test(url.hostname)) videoId = url.pathname.split("/")[1];
+  videoId = url.pathname.match(/^\/(?:shorts|embed|live|v)\/([\w-]{11})/)?.[1] || videoId;
+  if (!/^[\w-]{11}$/.test(videoId || "")) videoId = null;
+
+  const listId = videoId ? null : url.searchParams.get("list");
+  return videoId || listId ? { videoId, listId } : null;
+}
+
+export const videoUrl = (videoId) => `https://www.youtube.com/watch?v=${videoId}`;
+
+// pulls "720p" or "128k"/"128kbps" out of a plugin's args
+export function takeQuality(args) {
+  let resolution = null;
+  let bitrate = null;
+  const rest = args.filter((a) => {
+    const token = a.toLowerCase();
+    if (VIDEO_QUALITIES.includes(token)) return !(resolution = token);
+    const kbps = token.match(/^(\d{2,3})k(?:bps)?$/)?.[1];
+    if (kbps && AUDIO_BITRATES.includes(`${kbps}k`)) return !(bitrate = `${kbps}k`);
+    return true;
+  });
+  return { resolution, bitrate, args: rest };
+}
+
+// metadata for a single video; falls back to a bare link when the lookup fails
+export async function getVideo(videoId) {
+  try {
+    const video = await ytSearch({ videoId });
+    if (video?.title) return { ...video, url: videoUrl(videoId) };
+  } catch (err) {
+    log.warn(`Lookup of ${videoId} failed: ${err.message}`);
+  }
+  return { videoId, url: videoUrl(videoId), title: videoId };
+}
+
+/**
+ * Searches YouTube and lets the user reply with the number of one of the top
+ * results. Resolves with the picked video, or null once the user has been
+ * told why there is none (no results, cancelled, timed out).
+ */
+export async function chooseVideo(m, query, { signal } = {}) {
+  const { videos: found } = await ytSearch(query);
+  const videos = found.slice(0, CHOICES);
+  if (!videos.length) {
+    await m.reply("❌ No results found. Please refine your search.");
+    return null;
+  }
+  if (videos.length === 1) return videos[0];
+
+  const list = videos
+    .map((v, i) => `*${i + 1}.* ${v.title}\n    ⏱️ ${v.timestamp} · 👤 ${v.author?.name || "Unknown"}`)
+    .join("\n\n");
+  await m.reply(`🔎 *Results for:* ${query}\n\n${list}\n\nReply with a number (1-${videos.length}), or *0* to cancel.`);
+
+  const choice = await awaitReply(m, {
+    timeout: CHOICE_TIMEOUT_MS,
+    filter: (r) => /^\d+$/.test(r.text.trim()) && Number(r.text.trim()) <= videos.length,
+    signal
+  });
+  if (!choice) {
+    // the command itself timed out; the handler replies for that
+    if (signal?.aborted) throw signal.reason;
+    await m.reply("⌛ Nothing picked in time. Search again when you're ready.");
+    return null;
+  }
+  if (Number(choice.text.trim()) === 0) {
+    await m.reply("👌 Cancelled.");
+    return null;
+  }
+  return videos[Number(choice.text.trim()) - 1];
+}
+
+// requested quality first, then each lower one (video only) when the file is too big
+function qualityLadder(mode, quality) {
+  if (mode === "audio") return [quality || config.YT_AUDIO_BITRATE];
+  const start = VIDEO_QUALITIES.indexOf(quality || config.YT_VIDEO_QUALITY);
+  return VIDEO_QUALITIES.slice(0, start + 1).reverse();
+}
+
+/**
+ * Resolves, downloads and sends one video as audio ("audio" mode) or video.
+ * Files over the document threshold, or that WhatsApp refuses as media,
+ * go out as a document. Resolves with { title, quality, size, kind }.
+ */
+export async function sendYouTube(conn, chatId, { video, mode, quality, requested, signal, onProgress, caption, quoted }) {
+  const spec = MODES[mode];
+  let result = null;
+  let media = null;
+  let used = null;
+  let tooLarge = null;
+
+  try {
+    const ladder = qualityLadder(mode, quality);
+    for (const q of ladder) {
+      const previous = result?.url;
+      result = await resolveMedia(spec.platform, video.url, { signal, quality: q });
+      // a provider that ignores the quality hands back the same too-big file
+      if (result.url === previous) throw tooLarge;
+      try {
+        media = await downloadToTemp(result.url, { allowedTypes: spec.allowedTypes, signal, onProgress });
+        used = q;
+        break;
+      } catch (err) {
+        if (err.code !== "E_TOO_LARGE" || q === ladder.at(-1)) throw err;
+        tooLarge = err;
+        log.info(`${video.url} too large at ${q}, trying lower`);
+      }
+    }
+
+    const title = result.title || video.title;
+    const file = {
+      source: media.file,
+      mimetype: spec.mimetype,
+      fileName: `${title.replace(/[^a-zA-Z0-9 ]/g, "").trim() || "youtube"}.${spec.ext}`,
+      caption,
+      quoted
+    };
+    let kind = pickMediaKind({ requested, chatId, fallback: spec.fallback, allowed: spec.allowed, size: media.size });
+
+    try {
+      await sendMedia(conn, chatId, { ...file, kind });
+    } catch (err) {
+      if (kind === "document") throw err;
+      log.warn(`Sending ${title} as ${kind} failed (${err.message}), retrying as a document`);
+      kind = "document";
+      await sendMedia(conn, chatId, { ...file, kind });
+    }
+
+    return { title, quality: used, size: media.size, kind };
+  } finally {
+    media?.cleanup();
+  }
+}
+
+/**
+ * Queues up to YT_PLAYLIST_MAX_ITEMS items of a playlist. Items are sent in
+ * the background after the command returns, with one status message edited
+ * as they go. Resolves with { title, total, queued }.
+ */
+export async function queuePlaylist(conn, m, { listId, mode, quality, requested }) {
+  const playlist = await ytSearch({ listId });
+  const videos = (playlist?.videos || []).slice(0, config.YT_PLAYLIST_MAX_ITEMS);
+  if (!videos.length) throw new Error("That playlist is empty, private or unavailable.");
+
+  const chatId = m.chat;
+  const title = playlist.title || "Playlist";
+  const status = await conn.sendMessage(chatId, {
+    text: `📃 *${title}* — queued ${videos.length} of ${playlist.videos.length} item(s)`,
+    contextInfo: globalContextInfo
+  });
+  const progress = (text) =>
+    status?.key ? conn.sendMessage(chatId, { text: `📃 *${title}*\n${text}`, edit: status.key }).catch(() => {}) : null;
+
+  let sent = 0;
+  let failed = 0;
+  let queued = 0;
+
+  videos.forEach((item, index) => {
+    const position = `[${index + 1}/${videos.length}]`;
+    const ok = playlistQueue.push(chatId, async () => {
+      await progress(`⏬ ${position} ${item.title}`);
+      try {
+        // playlist items don't run under the command's timeout, so each gets its own
+        await sendYouTube(conn, chatId, {
+          video: { ...item, url: videoUrl(item.videoId) },
+          mode,
+          quality,
+          requested,
+          signal: AbortSignal.timeout(config.COMMAND_TIMEOUT_SECONDS * 1000),
+          caption: mode === "video" ? `🎬 ${position} ${item.title}` : undefined
+        });
+        sent++;
+      } catch (err) {
+        failed++;
+        log.warn(`Playlist item ${item.videoId} failed: ${err.message}`);
+        await conn.sendMessage(chatId, { text: `⚠️ ${position} *${item.title}* failed: ${err.message}` }).catch(() => {});
+      }
+      if (sent + failed === queued) await progress(`✅ Done — ${sent} sent${failed ? `, ${failed} failed` : ""}`);
+    });
+    if (ok) queued++;
+  });
+
+  if (queued < videos.length) {
+    await m.reply(`⚠️ The download queue is full — only ${queued} of ${videos.length} item(s) were queued.`);
+  }
+  return { title, total: playlist.videos.length, queued };
+}
@@ -3,7 +3,9 @@
  * Usage: !alive
  */
 
-const handler = async (m, { conn, globalContextInfo }) => {
+import { config } from "../config.js";
+
+const handler = async (m, { conn, globalContextInfo, logger }) => {
   try {
     const uptime = process.uptime();
     const hrs = Math.floor(uptime / 3600);
@@ -15,7 +17,7 @@ const handler = async (m, { conn, globalContextInfo }) => {
 💡 *Status:* Online and operational
 🕐 *Uptime:* ${hrs}h ${mins}m ${secs}s
 📅 *Date:* ${new Date().toLocaleString()}
-👑 *Bot Owner:* ${global.owner?.[0] || "Unknown"}
+👑 *Bot Owner:* ${config.OWNER_NUMBER[0] ? `+${config.OWNER_NUMBER[0].replace(/^\+/, "")}` : "Unknown"}
 `;
 
     await conn.sendMessage(m.chat, {
@@ -23,7 +25,7 @@ const handler = async (m, { conn, globalContextInfo }) => {
       contextInfo: globalContextInfo
     });
   } catch (err) {
-    console.error("ALIVE PLUGIN ERROR:", err);
+    logger.error("ALIVE PLUGIN ERROR:", err);
     await conn.sendMessage(m.chat, {
       text: "❌ Failed to check alive status.",
       contextInfo: globalContextInfo
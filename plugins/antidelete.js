@@ -0,0 +1,56 @@
+/**
+ * Anti-delete settings for Silva MD Pro (owner only)
+ * Usage: !antidelete on|off | !antidelete target owner|chat|log [group jid]
+ */
+
+import { TARGETS, getAntideleteTarget, isAntideleteEnabled } from "../lib/antidelete.js";
+import { storeSize } from "../lib/messageStore.js";
+
+const handler = async (m, { args, command, prefix, db, logger }) => {
+  try {
+    const action = args[0]?.toLowerCase();
+
+    if (action === "on" || action === "off") {
+      db.chat(m.chat).antidelete = action === "on";
+      return m.reply(`✅ Anti-delete turned *${action}* for this chat.`);
+    }
+
+    if (action === "target") {
+      const target = args[1]?.toLowerCase();
+      if (!TARGETS.includes(target)) {
+        return m.reply(`❌ Usage: *${prefix}${command} target ${TARGETS.join("|")} [group jid]*`);
+      }
+
+      const settings = db.settings();
+      if (target === "log") {
+        const logGroup = args[2] || (m.isGroup ? m.chat : null);
+        if (!logGroup?.endsWith("@g.us")) {
+          return m.reply("❌ Run this inside the log group, or pass its JID (…@g.us).");
+        }
+        settings.antideleteLogGroup = logGroup;
+      }
+      settings.antideleteTarget = target;
+      return m.reply(`✅ Recovered messages will now go to *${target}*.`);
+    }
+
+    const { target, logGroup } = getAntideleteTarget();
+    await m.reply(
+      `🛡️ *Anti-Delete*\n\n` +
+        `• This chat: *${isAntideleteEnabled(m.chat) ? "on" : "off"}*\n` +
+        `• Target: *${target}*${target === "log" ? ` (${logGroup || "not set"})` : ""}\n` +
+        `• Stored messages: *${storeSize()}*\n\n` +
+        `Usage:\n*${prefix}${command} on|off*\n*${prefix}${command} target ${TARGETS.join("|")} [group jid]*`
+    );
+  } catch (err) {
+    logger.error("Anti-delete plugin error:", err);
+    await m.reply("❌ Failed to update anti-delete settings.");
+  }
+};
+
+handler.help = ["antidelete on|off", "antidelete target owner|chat|log"];
+handler.tags = ["owner"];
+handler.command = ["antidelete", "antidel"];
+handler.aliases = { antidel: "antidelete" };
+handler.owner = true;
+
+export default handler;
@@ -1,30 +1,15 @@
-import { globalContextInfo } from "../lib/silvaConnect.js";
+import { globalContextInfo } from "../config.js";
 
-const handler = async (m, { conn, text, command, prefix }) => {
-  try {
-    const chatId =
-      m.key?.remoteJid ||
-      m.chat ||
-      (m.message?.extendedTextMessage?.contextInfo?.participant ??
-        m.participant ??
-        ""); // fallback for broadcast or group
-    if (!chatId || !chatId.endsWith("@s.whatsapp.net") && !chatId.endsWith("@g.us")) {
-      console.error("Invalid chatId:", chatId);
-      return;
-    }
+const handler = async (m, { conn, text, command, prefix, logger }) => {
+  const chatId = m.chat;
 
+  try {
     if (!text)
-      return conn.sendMessage(chatId, {
-        text: `❌ Please provide a phone number!\n\nExample:\n${prefix + command} 91xxxxxxxxxx`,
-        contextInfo: globalContextInfo,
-      });
+      return m.reply(`❌ Please provide a phone number!\n\nExample:\n${prefix + command} 91xxxxxxxxxx`);
 
     const phoneNumber = text.replace(/[^0-9]/g, "");
     if (phoneNumber.length < 10)
-      return conn.sendMessage(chatId, {
-        text: `❌ Invalid phone number!\n\nExample:\n${prefix + command} 91xxxxxxxxxx`,
-        contextInfo: globalContextInfo,
-      });
+      return m.reply(`❌ Invalid phone number!\n\nExample:\n${prefix + command} 91xxxxxxxxxx`);
 
     await conn.sendMessage(chatId, {
       text: `🔍 Checking ban status for: +${phoneNumber}...\n⏳ Please wait...`,
@@ -60,18 +45,8 @@ const handler = async (m, { conn, text, command, prefix }) => {
       contextInfo: globalContextInfo,
     });
   } catch (error) {
-    console.error("Ban check error:", error);
-    const chatId =
-      m.key?.remoteJid ||
-      m.chat ||
-      (m.message?.extendedTextMessage?.contextInfo?.participant ??
-        m.participant ??
-        "");
-    if (chatId)
-      await conn.sendMessage(chatId, {
-        text: `❌ Error checking ban status!\nPlease try again later or contact support.`,
-        contextInfo: globalContextInfo,
-      });
+    logger.error("Ban check error:", error);
+    await m.reply(`❌ Error checking ban status!\nPlease try again later or contact support.`);
   }
 };
 
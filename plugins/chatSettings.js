@@ -0,0 +1,69 @@
+/**
+ * Per-chat settings for Silva MD Pro
+ * Usage: !suggest on|off | !setprefix <prefix|reset> | !mediamode <mode>
+ * In groups only admins can change these.
+ */
+
+import { isGroupAdmin, setSuggestions, suggestionsEnabled } from "../lib/handler.js";
+import { getChatPrefix, getPrefixes, setChatPrefix } from "../lib/prefix.js";
+import { MEDIA_KINDS } from "../lib/media.js";
+
+const handler = async (m, { conn, args, command, prefix, isOwner, db, logger }) => {
+  try {
+    if (m.isGroup && !isOwner && !(await isGroupAdmin(conn, m.chat, m.sender))) {
+      return m.reply("🛡️ Only group admins can change chat settings.");
+    }
+
+    if (command === "suggest") {
+      const value = args[0]?.toLowerCase();
+      if (!["on", "off"].includes(value)) {
+        return m.reply(
+          `💡 "Did you mean" suggestions are *${suggestionsEnabled(m.chat) ? "on" : "off"}* here.\n\n` +
+            `Usage: *${prefix}suggest on|off*`
+        );
+      }
+      setSuggestions(m.chat, value === "on");
+      return m.reply(`✅ Command suggestions turned *${value}* for this chat.`);
+    }
+
+    if (command === "setprefix") {
+      const value = args[0];
+      if (!value) {
+        return m.reply(
+          `🔣 Prefix${getChatPrefix(m.chat) ? "" : "es"} here: *${getPrefixes(m.chat).join(" ")}*\n\n` +
+            `Usage: *${prefix}setprefix <prefix>* or *${prefix}setprefix reset*`
+        );
+      }
+      if (value.toLowerCase() === "reset") {
+        setChatPrefix(m.chat, null);
+        return m.reply(`✅ Prefix reset. Use *${getPrefixes(m.chat).join(" ")}* here.`);
+      }
+      if (value.length > 3 || /\s/.test(value)) {
+        return m.reply("❌ A prefix must be 1-3 characters with no spaces.");
+      }
+      setChatPrefix(m.chat, value);
+      return m.reply(`✅ Prefix for this chat is now *${value}* — e.g. *${value}menu*`);
+    }
+
+    if (command === "mediamode") {
+      const value = args[0]?.toLowerCase();
+      if (!MEDIA_KINDS.includes(value)) {
+        return m.reply(
+          `🎞️ Downloads here are sent as *${db.readChat(m.chat).mediaMode}*.\n\n` +
+            `Usage: *${prefix}mediamode ${MEDIA_KINDS.join("|")}*`
+        );
+      }
+      db.chat(m.chat).mediaMode = value;
+      return m.reply(`✅ Downloads in this chat will be sent as *${value}*.`);
+    }
+  } catch (err) {
+    logger.error("Chat settings error:", err);
+    await m.reply("❌ Failed to update chat settings.");
+  }
+};
+
+handler.help = ["suggest on|off", "setprefix <prefix|reset>", "mediamode <auto|video|audio|voice|document>"];
+handler.tags = ["settings"];
+handler.command = ["suggest", "setprefix", "mediamode"];
+
+export default handler;
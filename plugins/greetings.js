@@ -0,0 +1,72 @@
+/**
+ * Welcome, goodbye and admin-change messages for Silva MD Pro (group admins)
+ * Usage: !welcome on|off | !welcome set <text> | !welcome preview | !welcome reset | !welcome pic on|off
+ * The same subcommands work for !goodbye, !promotemsg and !demotemsg.
+ * Placeholders: {user} {number} {group} {desc} {count} {author}
+ */
+
+import { PLACEHOLDERS, buildGreeting, getGreeting, resetGreeting, updateGreeting } from "../lib/greetings.js";
+
+const TYPES = { welcome: "welcome", goodbye: "goodbye", promotemsg: "promote", demotemsg: "demote" };
+
+function usage(prefix, command) {
+  const vars = Object.entries(PLACEHOLDERS).map(([key, desc]) => `• {${key}} — ${desc}`).join("\n");
+  return (
+    `Usage:\n• *${prefix}${command} on|off*\n• *${prefix}${command} set <text>*\n• *${prefix}${command} preview*\n` +
+    `• *${prefix}${command} reset*\n• *${prefix}${command} pic on|off*\n\nPlaceholders:\n${vars}`
+  );
+}
+
+const handler = async (m, { conn, args, command, prefix, logger }) => {
+  try {
+    const type = TYPES[command];
+    const sub = args[0]?.toLowerCase();
+
+    if (sub === "on" || sub === "off") {
+      updateGreeting(m.chat, type).enabled = sub === "on";
+      return m.reply(`✅ ${type} messages turned *${sub}*.`);
+    }
+
+    if (sub === "set") {
+      // keep the line breaks of the original message; args are whitespace-split
+      const text = m.text.match(/\bset\s+([\s\S]+)$/i)?.[1]?.trim();
+      if (!text) return m.reply(`❌ Usage: *${prefix}${command} set <text>*\n\nExample: *${prefix}${command} set Hi {user}, welcome to {group}!*`);
+      const greeting = updateGreeting(m.chat, type);
+      greeting.text = text;
+      return m.reply(`✅ ${type} template saved${greeting.enabled ? "" : ` — turn it on with *${prefix}${command} on*`}.`);
+    }
+
+    if (sub === "pic") {
+      const value = args[1]?.toLowerCase();
+      if (value !== "on" && value !== "off") return m.reply(`❌ Usage: *${prefix}${command} pic on|off*`);
+      updateGreeting(m.chat, type).picture = value === "on";
+      return m.reply(`✅ Profile picture ${value === "on" ? "will be" : "won't be"} included in ${type} messages.`);
+    }
+
+    if (sub === "reset") {
+      resetGreeting(m.chat, type);
+      return m.reply(`♻️ ${type} template reset to the default.`);
+    }
+
+    if (sub === "preview") {
+      return conn.sendMessage(m.chat, await buildGreeting(conn, m.chat, type, m.sender, m.sender), { quoted: m });
+    }
+
+    const greeting = getGreeting(m.chat, type);
+    await m.reply(
+      `👋 *${type}* messages are *${greeting.enabled ? "on" : "off"}* (picture ${greeting.picture ? "on" : "off"}).\n\n` +
+        `Template:\n${greeting.text}\n\n${usage(prefix, command)}`
+    );
+  } catch (err) {
+    logger.error("Greetings error:", err);
+    await m.reply(`❌ ${err.message}`);
+  }
+};
+
+handler.help = ["welcome on|off|set|preview|reset|pic", "goodbye on|off|set|preview|reset|pic", "promotemsg on|off|set|preview|reset", "demotemsg on|off|set|preview|reset"];
+handler.tags = ["group"];
+handler.command = Object.keys(TYPES);
+handler.group = true;
+handler.admin = true;
+
+export default handler;
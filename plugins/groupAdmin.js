@@ -0,0 +1,147 @@
+/**
+ * Group administration for Silva MD Pro
+ * Usage: !kick | !add | !promote | !demote <@user|reply|number...>
+ *        !group open|close | !setname <text> | !setdesc <text> | !setpp (reply to an image)
+ *        !link | !revoke
+ * Both the caller and the bot must be group admins.
+ */
+
+import { getGroupMetadata, invalidateGroupMetadata, isOwner } from "../lib/handler.js";
+import { findParticipant, resolveTargets, sameUser } from "../lib/group.js";
+import { jidToNumber, safeGetUserJid } from "../lib/utils.js";
+
+const MEMBER_ACTIONS = {
+  kick: { action: "remove", done: "removed", icon: "👢" },
+  add: { action: "add", done: "added", icon: "➕" },
+  promote: { action: "promote", done: "promoted to admin", icon: "⬆️" },
+  demote: { action: "demote", done: "demoted", icon: "⬇️" }
+};
+
+// WhatsApp status codes returned per participant by groupParticipantsUpdate
+const UPDATE_ERRORS = {
+  403: "their privacy settings block being added — send them the group link instead",
+  408: "they left recently and can't be re-added yet",
+  409: "already in the group",
+  401: "they have blocked the bot",
+  500: "the group is full"
+};
+
+const tag = (jid) => `@${jidToNumber(jid)}`;
+
+async function updateMembers(m, conn, command, args, prefix) {
+  const { action, done, icon } = MEMBER_ACTIONS[command];
+  const targets = resolveTargets(m, args);
+  if (!targets.length) {
+    return m.reply(`❌ Tell me who: mention them, reply to their message or type their number.\n\nExample: *${prefix}${command} @user*`);
+  }
+
+  const meta = await getGroupMetadata(conn, m.chat);
+  const botJid = safeGetUserJid(conn);
+  const ready = [];
+  const skipped = [];
+
+  for (const jid of targets) {
+    const member = findParticipant(meta, jid);
+
+    if (action === "add") {
+      if (member) skipped.push(`${tag(jid)} — already in the group`);
+      else ready.push(jid);
+      continue;
+    }
+
+    if (!member) skipped.push(`${tag(jid)} — not in this group`);
+    else if (sameUser(jid, botJid)) skipped.push(`${tag(jid)} — that's me`);
+    else if (action !== "promote" && (isOwner(conn, jid) || member.admin === "superadmin"))
+      skipped.push(`${tag(jid)} — can't ${command} the bot owner or group creator`);
+    else if (action === "promote" && member.admin) skipped.push(`${tag(jid)} — already an admin`);
+    else if (action === "demote" && !member.admin) skipped.push(`${tag(jid)} — not an admin`);
+    else ready.push(member.id);
+  }
+
+  const lines = [];
+  if (ready.length) {
+    const results = await conn.groupParticipantsUpdate(m.chat, ready, action);
+    invalidateGroupMetadata(m.chat);
+    for (const { status, jid } of results || []) {
+      const code = Number(status);
+      if (code === 200) lines.push(`${icon} ${tag(jid)} ${done}`);
+      else lines.push(`⚠️ ${tag(jid)} — ${UPDATE_ERRORS[code] || `failed (${status})`}`);
+    }
+  }
+  lines.push(...skipped.map((s) => `⚠️ ${s}`));
+
+  return m.reply({ text: lines.join("\n"), mentions: [...ready, ...targets] });
+}
+
+const handler = async (m, { conn, args, command, prefix, logger }) => {
+  try {
+    if (MEMBER_ACTIONS[command]) return await updateMembers(m, conn, command, args, prefix);
+
+    if (command === "group") {
+      const mode = args[0]?.toLowerCase();
+      if (!["open", "close"].includes(mode)) {
+        return m.reply(`❌ Usage: *${prefix}group open* (everyone can send) or *${prefix}group close* (admins only)`);
+      }
+      await conn.groupSettingUpdate(m.chat, mode === "close" ? "announcement" : "not_announcement");
+      invalidateGroupMetadata(m.chat);
+      return m.reply(mode === "close" ? "🔒 Group closed — only admins can send messages." : "🔓 Group opened — everyone can send messages.");
+    }
+
+    if (command === "setname") {
+      const name = args.join(" ").trim() || m.quoted?.text?.trim();
+      if (!name) return m.reply(`❌ Usage: *${prefix}setname <new group name>*`);
+      if (name.length > 100) return m.reply("❌ Group names can be at most 100 characters.");
+      await conn.groupUpdateSubject(m.chat, name);
+      invalidateGroupMetadata(m.chat);
+      return m.reply(`✅ Group name changed to *${name}*`);
+    }
+
+    if (command === "setdesc") {
+      const desc = args.join(" ").trim() || m.quoted?.text?.trim();
+      if (!desc) return m.reply(`❌ Usage: *${prefix}setdesc <new description>*`);
+      await conn.groupUpdateDescription(m.chat, desc);
+      invalidateGroupMetadata(m.chat);
+      return m.reply("✅ Group description updated.");
+    }
+
+    if (command === "setpp") {
+      const source = m.type === "imageMessage" ? m : m.quoted?.type === "imageMessage" ? m.quoted : null;
+      if (!source) return m.reply(`❌ Send an image with *${prefix}setpp* as caption, or reply to an image.`);
+      await conn.updateProfilePicture(m.chat, await source.download());
+      return m.reply("✅ Group picture updated.");
+    }
+
+    if (command === "link") {
+      const code = await conn.groupInviteCode(m.chat);
+      return m.reply(`🔗 *Group link*\nhttps://chat.whatsapp.com/${code}`);
+    }
+
+    if (command === "revoke") {
+      const code = await conn.groupRevokeInvite(m.chat);
+      return m.reply(`♻️ Old link revoked. New link:\nhttps://chat.whatsapp.com/${code}`);
+    }
+  } catch (err) {
+    logger.error("Group admin error:", err);
+    await m.reply(`❌ Couldn't ${command}: ${err.message}`);
+  }
+};
+
+handler.help = [
+  "kick <@user|reply|number>",
+  "add <number>",
+  "promote <@user|reply|number>",
+  "demote <@user|reply|number>",
+  "group open|close",
+  "setname <text>",
+  "setdesc <text>",
+  "setpp (image or reply)",
+  "link",
+  "revoke"
+];
+handler.tags = ["group"];
+handler.command = ["kick", "add", "promote", "demote", "group", "setname", "setdesc", "setpp", "link", "revoke"];
+handler.group = true;
+handler.admin = true;
+handler.botAdmin = true;
+
+export default handler;
@@ -0,0 +1,47 @@
+/**
+ * Group information for Silva MD Pro
+ * Usage: !groupinfo
+ */
+
+import moment from "moment";
+import { getGroupMetadata } from "../lib/handler.js";
+import { jidToNumber } from "../lib/utils.js";
+
+const handler = async (m, { conn, logger }) => {
+  try {
+    const meta = await getGroupMetadata(conn, m.chat);
+    const participants = meta.participants || [];
+    const admins = participants.filter((p) => p.admin);
+    const owner = meta.owner || meta.ownerPn || admins.find((p) => p.admin === "superadmin")?.id;
+
+    const caption = [
+      `👥 *${meta.subject}*`,
+      "",
+      `🆔 *ID:* ${meta.id}`,
+      `👑 *Creator:* ${owner ? `@${jidToNumber(owner)}` : "Unknown"}`,
+      `📅 *Created:* ${meta.creation ? moment(meta.creation * 1000).format("DD MMM YYYY") : "Unknown"}`,
+      `👤 *Members:* ${participants.length}`,
+      `🛡️ *Admins:* ${admins.length}`,
+      `💬 *Messages:* ${meta.announce ? "admins only" : "everyone"}`,
+      `✏️ *Edit info:* ${meta.restrict ? "admins only" : "everyone"}`,
+      "",
+      `📝 *Description:*\n${meta.desc?.toString().trim() || "_none_"}`
+    ].join("\n");
+    const mentions = owner ? [owner] : [];
+
+    const picture = await conn.profilePictureUrl(m.chat, "image").catch(() => null);
+    if (picture) return m.reply({ image: { url: picture }, caption, mentions });
+    await m.reply({ text: caption, mentions });
+  } catch (err) {
+    logger.error("Group info error:", err);
+    await m.reply(`❌ Couldn't load group info: ${err.message}`);
+  }
+};
+
+handler.help = ["groupinfo"];
+handler.tags = ["group"];
+handler.command = ["groupinfo", "ginfo"];
+handler.aliases = { ginfo: "groupinfo" };
+handler.group = true;
+
+export default handler;
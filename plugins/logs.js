@@ -0,0 +1,40 @@
+/**
+ * Recent log viewer for Silva MD Pro (owner only)
+ * Usage: !logs [count] [level]
+ * Example: !logs 30 warn — last 30 entries at warn level or above
+ */
+
+import moment from "moment";
+import { LEVELS, getRecentLogs } from "../lib/logger.js";
+
+const MAX_COUNT = 100;
+
+const handler = async (m, { args, prefix, logger }) => {
+  try {
+    let count = 20;
+    let level;
+    for (const arg of args) {
+      if (/^\d+$/.test(arg)) count = Math.min(Number(arg), MAX_COUNT);
+      else if (LEVELS[arg.toLowerCase()]) level = arg.toLowerCase();
+      else return m.reply(`❌ Usage: *${prefix}logs [count] [${Object.keys(LEVELS).join("|")}]*`);
+    }
+
+    const entries = getRecentLogs(count, level);
+    if (!entries.length) return m.reply("📭 No log entries yet.");
+
+    const lines = entries.map(
+      (e) => `\`${moment(e.time).format("HH:mm:ss")}\` *${e.level.toUpperCase()}* (${e.module}) ${e.msg}`
+    );
+    await m.reply(`📜 *Recent logs*${level ? ` (${level}+)` : ""}\n\n${lines.join("\n")}`);
+  } catch (err) {
+    logger.error("Logs plugin error:", err);
+    await m.reply(`❌ ${err.message}`);
+  }
+};
+
+handler.help = ["logs [count] [level]"];
+handler.tags = ["owner"];
+handler.command = ["logs"];
+handler.owner = true;
+
+export default handler;
@@ -0,0 +1,91 @@
+/**
+ * Menu / help plugin for Silva MD Pro
+ * Usage: !menu | !help <command>
+ * Built from the handler.help and handler.tags of every loaded plugin.
+ */
+
+import { getPlugins, findPlugin, checkPermissions, commandFamily, isCommandDisabled } from "../lib/handler.js";
+
+const toList = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+
+// help lines start with the command they describe ("antilink on|off")
+const helpCommand = (line) => line.split(/\s+/)[0].toLowerCase();
+
+async function isAllowed(conn, plugin, m) {
+  const refusal = await checkPermissions(conn, plugin, { chatId: m.chat, sender: m.sender });
+  return !refusal;
+}
+
+async function showCommandHelp(m, conn, prefix, name) {
+  const command = name.toLowerCase();
+  const plugin = findPlugin(command);
+  if (!plugin || !(await isAllowed(conn, plugin, m))) {
+    return m.reply(`❌ No command named *${name}*.\n\nSend *${prefix}menu* to see everything available.`);
+  }
+
+  const family = commandFamily(plugin, command);
+  const aliases = family.filter((c) => c !== command);
+  const usage = toList(plugin.help)
+    .filter((h) => family.includes(helpCommand(h)))
+    .map((h) => `• ${prefix}${h}`)
+    .join("\n");
+  const restrictions = ["owner", "private", "group", "admin", "botAdmin"].filter((k) => plugin[k]);
+
+  let msg = `📖 *Help: ${prefix}${command}*\n\n`;
+  if (plugin.description) msg += `${plugin.description}\n\n`;
+  msg += `🧾 *Usage:*\n${usage || `• ${prefix}${command}`}\n\n`;
+  if (aliases.length) msg += `🔁 *Aliases:* ${aliases.map((c) => prefix + c).join(", ")}\n`;
+  if (isCommandDisabled(command)) msg += "⛔ *Disabled* by the owner\n";
+  msg += `🏷️ *Tags:* ${toList(plugin.tags).join(", ") || "misc"}\n`;
+  if (restrictions.length) msg += `🔒 *Restricted to:* ${restrictions.join(", ")}\n`;
+  if (plugin.cooldown) msg += `⏳ *Cooldown:* ${plugin.cooldown}s\n`;
+  if (plugin.limit) msg += `📛 *Daily limit:* ${plugin.limit}\n`;
+
+  return m.reply(msg.trim());
+}
+
+const handler = async (m, { conn, args, prefix, logger }) => {
+  try {
+    if (args[0]) return showCommandHelp(m, conn, prefix, args[0]);
+
+    const byTag = new Map();
+    for (const plugin of getPlugins().values()) {
+      if (!(await isAllowed(conn, plugin, m))) continue;
+
+      const help = toList(plugin.help).length ? toList(plugin.help) : toList(plugin.command).slice(0, 1);
+      const usage = help.filter((h) => !isCommandDisabled(helpCommand(h)));
+      if (!usage.length) continue;
+      const tag = toList(plugin.tags)[0] || "misc";
+      if (!byTag.has(tag)) byTag.set(tag, []);
+      byTag.get(tag).push(...usage);
+    }
+
+    const sections = [...byTag.keys()]
+      .sort()
+      .map((tag) => {
+        const lines = byTag.get(tag).sort().map((u) => `│ ◦ ${prefix}${u}`);
+        return `╭─❏ *${tag.toUpperCase()}*\n${lines.join("\n")}\n╰────────────`;
+      });
+
+    const menu = `🧠 *SILVA MD PRO MENU*
+
+👤 *User:* ${m.pushName || "there"}
+🔣 *Prefix:* ${prefix}
+
+${sections.join("\n\n")}
+
+💡 Send *${prefix}help <command>* for details on one command.`;
+
+    await m.reply(menu);
+  } catch (err) {
+    logger.error("Menu plugin error:", err);
+    await m.reply("❌ Failed to build the menu.");
+  }
+};
+
+handler.help = ["menu", "help <command>"];
+handler.tags = ["info"];
+handler.command = ["menu", "help", "commands"];
+handler.aliases = { help: "menu", commands: "menu" };
+
+export default handler;
@@ -0,0 +1,144 @@
+/**
+ * Group moderation settings for Silva MD Pro (group admins)
+ * Usage: !moderation — show current rules
+ *        !antilink on|off|invites | !antilink allow|remove <domain>
+ *        !antiflood on|off [messages] [seconds]
+ *        !antibadword on|off | !badword add|remove <word...> | !badword list
+ *        !antimention on|off [max mentions]
+ *        !modaction delete|warn|kick | !maxwarn <n>
+ */
+
+import { ANTILINK_MODES, MOD_ACTIONS, getModeration, updateModeration } from "../lib/moderation.js";
+
+const toggle = (value) => (value === "on" ? true : value === "off" ? false : null);
+const onOff = (value) => (value ? "on" : "off");
+
+function summary(mod, prefix) {
+  return [
+    "🛡️ *Moderation rules*",
+    "",
+    `🔗 Anti-link: *${mod.antilink}*${mod.allowDomains.length ? ` (allowed: ${mod.allowDomains.join(", ")})` : ""}`,
+    `🌊 Anti-flood: *${onOff(mod.antiflood)}* (${mod.floodMessages} messages / ${mod.floodSeconds}s)`,
+    `🤬 Bad words: *${onOff(mod.antibadword)}* (${mod.badWords.length} words)`,
+    `📣 Mass mention: *${onOff(mod.antimention)}* (max ${mod.mentionMax})`,
+    `⚖️ Action: *${mod.action}* · max warnings: *${mod.maxWarnings}*`,
+    "",
+    `Admins and the owner are never moderated. Send *${prefix}help antilink* etc. for usage.`
+  ].join("\n");
+}
+
+function positive(value, max) {
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 1 && n <= max ? n : null;
+}
+
+const handler = async (m, { args, command, prefix, logger }) => {
+  try {
+    const value = args[0]?.toLowerCase();
+
+    if (command === "moderation") return m.reply(summary(getModeration(m.chat), prefix));
+
+    if (command === "antilink") {
+      if (["allow", "remove"].includes(value)) {
+        const domain = args[1]?.toLowerCase().replace(/^https?:\/\//, "").replace(/^www\./, "").split("/")[0];
+        if (!domain || !domain.includes(".")) return m.reply(`❌ Usage: *${prefix}antilink ${value} youtube.com*`);
+        const mod = updateModeration(m.chat);
+        mod.allowDomains =
+          value === "allow" ? [...new Set([...mod.allowDomains, domain])] : mod.allowDomains.filter((d) => d !== domain);
+        return m.reply(`✅ Allowed domains: ${mod.allowDomains.join(", ") || "_none_"}`);
+      }
+      if (!ANTILINK_MODES.includes(value)) {
+        return m.reply(
+          `🔗 Anti-link is *${getModeration(m.chat).antilink}*.\n\n` +
+            `Usage: *${prefix}antilink on|off|invites*\n` +
+            `• *on* — remove every link except allowed domains\n• *invites* — only remove invites to other groups\n` +
+            `• *${prefix}antilink allow|remove <domain>* — edit the allowlist`
+        );
+      }
+      updateModeration(m.chat).antilink = value;
+      return m.reply(`✅ Anti-link is now *${value}*.`);
+    }
+
+    if (command === "antiflood") {
+      const enabled = toggle(value);
+      if (enabled === null) return m.reply(`❌ Usage: *${prefix}antiflood on|off [messages] [seconds]*`);
+      const mod = updateModeration(m.chat);
+      mod.antiflood = enabled;
+      if (args[1]) mod.floodMessages = positive(args[1], 50) ?? mod.floodMessages;
+      if (args[2]) mod.floodSeconds = positive(args[2], 300) ?? mod.floodSeconds;
+      return m.reply(
+        `✅ Anti-flood is now *${value}*${enabled ? ` — more than ${mod.floodMessages} messages in ${mod.floodSeconds}s is flooding.` : "."}`
+      );
+    }
+
+    if (command === "antibadword") {
+      const enabled = toggle(value);
+      if (enabled === null) return m.reply(`❌ Usage: *${prefix}antibadword on|off*`);
+      const mod = updateModeration(m.chat);
+      mod.antibadword = enabled;
+      const hint = enabled && !mod.badWords.length ? `\n\nAdd words with *${prefix}badword add <word>*.` : "";
+      return m.reply(`✅ Bad-word filter is now *${value}*.${hint}`);
+    }
+
+    if (command === "badword") {
+      const words = args.slice(1).map((w) => w.toLowerCase());
+      if (value === "list") {
+        const list = getModeration(m.chat).badWords;
+        return m.reply(list.length ? `🤬 *Banned words:*\n${list.map((w) => `• ${w}`).join("\n")}` : "📭 No banned words yet.");
+      }
+      if (!["add", "remove"].includes(value) || !words.length) {
+        return m.reply(`❌ Usage: *${prefix}badword add|remove <word...>* or *${prefix}badword list*`);
+      }
+      const mod = updateModeration(m.chat);
+      mod.badWords =
+        value === "add" ? [...new Set([...mod.badWords, ...words])] : mod.badWords.filter((w) => !words.includes(w));
+      // the word list can itself be offensive, so don't echo it back
+      return m.reply(`✅ ${value === "add" ? "Added" : "Removed"} ${words.length} word(s). ${mod.badWords.length} banned in total.`);
+    }
+
+    if (command === "antimention") {
+      const enabled = toggle(value);
+      if (enabled === null) return m.reply(`❌ Usage: *${prefix}antimention on|off [max mentions]*`);
+      const mod = updateModeration(m.chat);
+      mod.antimention = enabled;
+      if (args[1]) mod.mentionMax = positive(args[1], 100) ?? mod.mentionMax;
+      return m.reply(`✅ Mass-mention block is now *${value}*${enabled ? ` — ${mod.mentionMax}+ mentions in one message.` : "."}`);
+    }
+
+    if (command === "modaction") {
+      if (!MOD_ACTIONS.includes(value)) {
+        return m.reply(`⚖️ Rule breakers are handled with *${getModeration(m.chat).action}*.\n\nUsage: *${prefix}modaction ${MOD_ACTIONS.join("|")}*`);
+      }
+      updateModeration(m.chat).action = value;
+      return m.reply(`✅ Rule breakers will now get: *${value}*.`);
+    }
+
+    if (command === "maxwarn") {
+      const max = positive(args[0], 20);
+      if (!max) return m.reply(`❌ Usage: *${prefix}maxwarn <1-20>* (now ${getModeration(m.chat).maxWarnings})`);
+      updateModeration(m.chat).maxWarnings = max;
+      return m.reply(`✅ Members are removed after *${max}* warnings.`);
+    }
+  } catch (err) {
+    logger.error("Moderation settings error:", err);
+    await m.reply(`❌ ${err.message}`);
+  }
+};
+
+handler.help = [
+  "moderation",
+  "antilink on|off|invites",
+  "antilink allow|remove <domain>",
+  "antiflood on|off [messages] [seconds]",
+  "antibadword on|off",
+  "badword add|remove|list <word>",
+  "antimention on|off [max]",
+  "modaction delete|warn|kick",
+  "maxwarn <n>"
+];
+handler.tags = ["group", "moderation"];
+handler.command = ["moderation", "antilink", "antiflood", "antibadword", "badword", "antimention", "modaction", "maxwarn"];
+handler.group = true;
+handler.admin = true;
+
+export default handler;
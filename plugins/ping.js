@@ -3,12 +3,12 @@
  * Usage: !ping
  */
 
-const handler = async (m, { conn, globalContextInfo }) => {
+const handler = async (m, { conn, globalContextInfo, logger }) => {
   try {
     const start = Date.now();
 
-    // Optional: send a temporary "pinging" message (we use m.chat / m.key.remoteJid)
-    const target = m.chat || m.key?.remoteJid;
+    // Optional: send a temporary "pinging" message
+    const target = m.chat;
 
     await conn.sendMessage(target, {
       text: "🏓 Pinging...",
@@ -23,8 +23,8 @@ const handler = async (m, { conn, globalContextInfo }) => {
       contextInfo: globalContextInfo
     });
   } catch (err) {
-    console.error("Ping plugin error:", err);
-    const target = m.chat || m.key?.remoteJid;
+    logger.error("Ping plugin error:", err);
+    const target = m.chat;
     try {
       await conn.sendMessage(target, {
         text: "❌ Ping failed. Something went wrong.",
@@ -0,0 +1,106 @@
+/**
+ * Plugin manager for Silva MD Pro (owner only)
+ * Usage: !reload [plugin] | !plugins | !disable <command> | !enable <command>
+ */
+
+import {
+  getPlugins,
+  getFailedPlugins,
+  getCommandConflicts,
+  findPlugin,
+  loadPlugin,
+  loadPlugins,
+  disableCommand,
+  enableCommand,
+  getDisabledCommands,
+  isCommandDisabled,
+  commandFamily
+} from "../lib/handler.js";
+
+const toList = (value) => (Array.isArray(value) ? value : [value]);
+
+// resolves "tiktok", "tiktok.js" or any command/alias to a plugin file name
+function resolveFile(name) {
+  const wanted = name.toLowerCase();
+  const file = wanted.endsWith(".js") ? wanted : `${wanted}.js`;
+  for (const key of [...getPlugins().keys(), ...getFailedPlugins().keys()]) {
+    if (key.toLowerCase() === file) return key;
+  }
+  const plugin = findPlugin(wanted);
+  if (!plugin) return null;
+  for (const [key, p] of getPlugins()) if (p === plugin) return key;
+  return null;
+}
+
+const handler = async (m, { args, command, prefix, logger }) => {
+  try {
+    if (command === "reload") {
+      if (!args[0]) {
+        await loadPlugins();
+        const failed = getFailedPlugins().size;
+        return m.reply(
+          `♻️ Reloaded *${getPlugins().size}* plugins.` +
+            (failed ? `\n⚠️ ${failed} failed — see *${prefix}plugins*.` : "")
+        );
+      }
+
+      const file = resolveFile(args[0]);
+      if (!file) return m.reply(`❌ No plugin found for *${args[0]}*.`);
+      const ok = await loadPlugin(file);
+      return m.reply(
+        ok ? `♻️ Reloaded *${file}*.` : `❌ Failed to reload *${file}*:\n${getFailedPlugins().get(file) || "no command metadata"}`
+      );
+    }
+
+    if (command === "plugins") {
+      const loaded = [...getPlugins()].map(([file, p]) => {
+        const commands = toList(p.command);
+        const off = commands.filter((c) => isCommandDisabled(c));
+        const state = off.length === commands.length ? "⛔" : "✅";
+        return `${state} ${file} — ${commands.map((c) => (off.includes(c) ? `~${c}~` : c)).join(", ")}`;
+      });
+      const failed = [...getFailedPlugins()].map(([file, error]) => `❌ ${file} — ${error}`);
+      const disabled = [...getDisabledCommands()];
+      const conflicts = [...getCommandConflicts()].map(
+        ([cmd, files]) => `⚔️ ${cmd} — ${files.join(", ")} (using ${files[0]})`
+      );
+
+      let msg = `🧩 *Loaded plugins (${loaded.length})*\n${loaded.join("\n") || "none"}`;
+      if (failed.length) msg += `\n\n⚠️ *Failed plugins (${failed.length})*\n${failed.join("\n")}`;
+      if (conflicts.length) msg += `\n\n⚔️ *Command conflicts*\n${conflicts.join("\n")}`;
+      if (disabled.length) msg += `\n\n⛔ *Disabled commands:* ${disabled.join(", ")}`;
+      return m.reply(msg);
+    }
+
+    let target = args[0]?.toLowerCase();
+    if (target?.startsWith(prefix)) target = target.slice(prefix.length);
+    if (!target) return m.reply(`❌ Usage: *${prefix}${command} <command>*`);
+
+    if (command === "disable") {
+      const plugin = findPlugin(target);
+      if (!plugin) return m.reply(`❌ Unknown command *${target}*.`);
+      if (plugin === handler) return m.reply("❌ The plugin manager can't be disabled.");
+      // stored under the main command so enabling any alias undoes it
+      const family = commandFamily(plugin, target);
+      disableCommand(family[0]);
+      const also = family.filter((c) => c !== target);
+      return m.reply(`⛔ *${prefix}${target}* disabled.${also.length ? `\nAlso off: ${also.join(", ")}` : ""}`);
+    }
+
+    if (command === "enable") {
+      const family = commandFamily(findPlugin(target), target);
+      const enabled = family.map((c) => enableCommand(c)).some(Boolean);
+      return m.reply(enabled ? `✅ *${prefix}${target}* enabled.` : `ℹ️ *${prefix}${target}* was not disabled.`);
+    }
+  } catch (err) {
+    logger.error("Plugin manager error:", err);
+    await m.reply(`❌ ${command} failed: ${err.message}`);
+  }
+};
+
+handler.help = ["reload [plugin]", "plugins", "disable <command>", "enable <command>"];
+handler.tags = ["owner"];
+handler.command = ["reload", "plugins", "disable", "enable"];
+handler.owner = true;
+
+export default handler;
@@ -0,0 +1,104 @@
+/**
+ * Download provider manager for Silva MD Pro (owner only)
+ * Usage: !providers [platform]
+ *        !provider enable|disable <name>
+ *        !provider move <name> <position>
+ *        !provider add <name> <platform> <url with {input}>
+ *          ({quality} in the url becomes the requested quality, e.g. 720p or 128k)
+ *        !provider remove <name> | !provider reset <name>
+ */
+
+import {
+  listProviders,
+  getProvider,
+  setProviderEnabled,
+  moveProvider,
+  addCustomProvider,
+  removeCustomProvider,
+  resetProviderStats
+} from "../lib/providers.js";
+
+function describe(p, position) {
+  const s = p.stats;
+  const total = s.successes + s.failures;
+  const rate = total ? `${Math.round((s.successes / total) * 100)}%` : "n/a";
+  const avg = s.successes ? `${Math.round(s.totalLatencyMs / s.successes)}ms` : "n/a";
+  const state = !p.enabled ? "⛔ disabled" : s.skipUntil > Date.now() ? "🧊 cooling down" : "✅ healthy";
+
+  let line = `${position}. *${p.name}*${p.custom ? " (custom)" : ""} — ${p.platforms.join(", ")}\n`;
+  line += `   ${state} · success ${rate} (${s.successes}/${total}) · avg ${avg}`;
+  if (s.lastError) line += `\n   last error: ${s.lastError}`;
+  return line;
+}
+
+const handler = async (m, { args, command, prefix, logger }) => {
+  try {
+    if (command === "providers") {
+      const list = listProviders(args[0]);
+      if (!list.length) return m.reply("ℹ️ No providers registered for that platform.");
+      return m.reply(`🛰️ *Download providers*\n\n${list.map((p, i) => describe(p, i + 1)).join("\n\n")}`);
+    }
+
+    const [action, name, ...rest] = args;
+    const usage =
+      `❌ Usage:\n*${prefix}provider enable|disable <name>*\n*${prefix}provider move <name> <position>*\n` +
+      `*${prefix}provider add <name> <platform> <url with {input}>*\n*${prefix}provider remove|reset <name>*\n\n` +
+      `Platforms: youtube-audio, youtube-video, tiktok. Add {quality} to the url to pass the requested quality.`;
+    if (!action || !name) return m.reply(usage);
+
+    switch (action.toLowerCase()) {
+      case "enable":
+      case "disable": {
+        const ok = setProviderEnabled(name, action.toLowerCase() === "enable");
+        return m.reply(ok ? `✅ Provider *${name}* ${action.toLowerCase()}d.` : `❌ Unknown provider *${name}*.`);
+      }
+
+      case "move": {
+        const position = parseInt(rest[0], 10);
+        if (!position || position < 1) return m.reply(usage);
+        return m.reply(
+          moveProvider(name, position) ? `✅ *${name}* moved to position ${position}.` : `❌ Unknown provider *${name}*.`
+        );
+      }
+
+      case "add": {
+        const [platform, template] = rest;
+        if (!platform || !/^https?:\/\/\S+\{input\}/.test(template || "")) return m.reply(usage);
+        if (getProvider(name) && !getProvider(name).custom) {
+          return m.reply(`❌ *${name}* is a built-in provider. Pick another name.`);
+        }
+        addCustomProvider(name, platform, template);
+        return m.reply(`✅ Added provider *${name}* for *${platform}*.`);
+      }
+
+      case "remove":
+        return m.reply(
+          removeCustomProvider(name) ? `🗑️ Removed provider *${name}*.` : `❌ *${name}* is not a custom provider.`
+        );
+
+      case "reset":
+        if (!getProvider(name)) return m.reply(`❌ Unknown provider *${name}*.`);
+        resetProviderStats(name);
+        return m.reply(`♻️ Stats for *${name}* reset.`);
+
+      default:
+        return m.reply(usage);
+    }
+  } catch (err) {
+    logger.error("Providers plugin error:", err);
+    await m.reply(`❌ ${err.message}`);
+  }
+};
+
+handler.help = [
+  "providers [platform]",
+  "provider enable|disable <name>",
+  "provider move <name> <position>",
+  "provider add <name> <platform> <url>",
+  "provider remove|reset <name>"
+];
+handler.tags = ["owner"];
+handler.command = ["providers", "provider"];
+handler.owner = true;
+
+export default handler;
@@ -1,16 +1,11 @@
 // plugins/repo.js
 import axios from "axios";
 import moment from "moment";
-import { globalContextInfo } from "../lib/silvaConnect.js";
+import { globalContextInfo } from "../config.js";
 
-const handler = async (m, { conn }) => {
+const handler = async (m, { conn, logger }) => {
   try {
-    // Always resolve correct chat ID
-    const chatId = m.chat || m.key?.remoteJid || m.key?.participant;
-    if (!chatId) {
-      console.error("❌ Invalid chatId. Message source not found.");
-      return;
-    }
+    const chatId = m.chat;
 
     const repoOwner = "SilvaTechB";
     const repoName = "silva-md-bot";
@@ -92,21 +87,14 @@ ${asciiArt}
       { quoted: m }
     );
   } catch (error) {
-    console.error("❌ Repo Plugin Error:", error);
-    const chatId = m.chat || m.key?.remoteJid || m.key?.participant;
-    await conn.sendMessage(
-      chatId,
-      {
-        text: "❌ Failed to fetch repo details. Please try again later.",
-        contextInfo: globalContextInfo,
-      },
-      { quoted: m }
-    );
+    logger.error("Repo plugin error:", error);
+    await m.reply("❌ Failed to fetch repo details. Please try again later.");
   }
 };
 
 handler.help = ["repo", "repository", "github"];
 handler.tags = ["info"];
 handler.command = ["repo", "repository", "github"];
+handler.aliases = { repository: "repo", github: "repo" };
 
 export default handler;
@@ -0,0 +1,85 @@
+/**
+ * Reminders and scheduled messages for Silva MD Pro
+ * Usage: !remind <when> <text> | !schedule <when> <text> | !jobs [all] | !cancel <id>
+ * <when>: in 2h · 1h30m · 14:30 · tomorrow 9am · 2026-12-24 18:00
+ *         daily 8:00 · weekdays 7am · weekly mon 9:00 · hourly · cron 0 8 * * 1-5
+ * Jobs survive restarts. In groups only admins can schedule announcements.
+ */
+
+import moment from "moment";
+import { config } from "../config.js";
+import { isGroupAdmin } from "../lib/handler.js";
+import { addJob, cancelJob, listJobs } from "../lib/scheduler.js";
+import { parseWhen } from "../lib/timeparse.js";
+
+const formatTime = (at) => `${moment(at).format("ddd D MMM, HH:mm")} (${moment(at).fromNow()})`;
+
+function describeJob(job, chatId) {
+  const where = job.chat === chatId ? "here" : job.chat.endsWith("@g.us") ? "in a group" : "in private chat";
+  const preview = job.text.length > 60 ? `${job.text.slice(0, 57)}...` : job.text;
+  return `*#${job.id}* ${job.kind === "remind" ? "⏰" : "📣"} ${formatTime(job.at)}${job.cron ? ` · 🔁 \`${job.cron}\`` : ""} · ${where}\n   ${preview}`;
+}
+
+function usage(prefix, command) {
+  return (
+    `❌ Usage: *${prefix}${command} <when> <text>*\n\n` +
+    `Examples:\n• ${prefix}${command} in 2h call mom\n• ${prefix}${command} tomorrow 9am team meeting\n` +
+    `• ${prefix}${command} 2026-12-24 18:00 party time\n• ${prefix}${command} daily 8:00 good morning\n` +
+    `• ${prefix}${command} cron 0 8 * * 1-5 stand-up\n\nTimes are server time (${moment().format("HH:mm")} now).`
+  );
+}
+
+const handler = async (m, { conn, args, command, prefix, isOwner, logger }) => {
+  try {
+    if (command === "jobs") {
+      const all = isOwner && args[0]?.toLowerCase() === "all";
+      const jobs = listJobs((j) => all || j.creator === m.sender);
+      if (!jobs.length) return m.reply(`📭 No scheduled jobs. Create one with *${prefix}remind* or *${prefix}schedule*.`);
+      return m.reply(`🗓️ *${all ? "All" : "Your"} jobs*\n\n${jobs.map((j) => describeJob(j, m.chat)).join("\n\n")}\n\nCancel with *${prefix}cancel <id>*`);
+    }
+
+    if (command === "cancel") {
+      const id = Number(args[0]?.replace("#", ""));
+      const job = id && listJobs((j) => j.id === id)[0];
+      if (!job) return m.reply(`❌ No job #${args[0] || "?"}. See *${prefix}jobs*.`);
+      const allowed = isOwner || job.creator === m.sender || (job.chat === m.chat && m.isGroup && (await isGroupAdmin(conn, m.chat, m.sender)));
+      if (!allowed) return m.reply("🔒 You can only cancel your own jobs.");
+      cancelJob(id);
+      return m.reply(`🗑️ Job *#${id}* cancelled.`);
+    }
+
+    // remind / schedule
+    if (command === "schedule" && m.isGroup && !isOwner && !(await isGroupAdmin(conn, m.chat, m.sender))) {
+      return m.reply("🛡️ Only group admins can schedule messages here. Use *remind* for a personal reminder.");
+    }
+
+    let when;
+    try {
+      when = parseWhen(args);
+    } catch (err) {
+      // parse errors carry a readable message
+      return m.reply(`❌ ${err.message}`);
+    }
+    const text = args.slice(when?.used ?? 0).join(" ").trim() || m.quoted?.text?.trim();
+    if (!when || !text) return m.reply(usage(prefix, command));
+
+    if (!isOwner && listJobs((j) => j.creator === m.sender).length >= config.SCHEDULER_MAX_JOBS) {
+      return m.reply(`⚠️ You already have ${config.SCHEDULER_MAX_JOBS} jobs. Cancel one first (*${prefix}jobs*).`);
+    }
+
+    const job = addJob({ chat: m.chat, creator: m.sender, text, kind: command, at: when.at, cron: when.cron });
+    await m.reply(
+      `✅ ${command === "remind" ? "Reminder" : "Message"} *#${job.id}* set for ${formatTime(job.at)}` +
+        `${job.cron ? `\n🔁 Repeats: \`${job.cron}\`` : ""}\n\nCancel with *${prefix}cancel ${job.id}*`
+    );
+  } catch (err) {
+    logger.error("Scheduler error:", err);
+    await m.reply(`❌ ${err.message}`);
+  }
+};
+
+handler.help = ["remind <when> <text>", "schedule <when> <text>", "jobs [all]", "cancel <id>"];
+handler.tags = ["tools"];
+handler.command = ["remind", "schedule", "jobs", "cancel"];
+
+export default handler;
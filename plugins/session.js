@@ -0,0 +1,43 @@
+/**
+ * Session export for Silva MD Pro (owner only)
+ * Usage: !getsession [--encrypted]
+ * Sends the current login as a SESSION_ID string to the owner's DM.
+ */
+
+import { exportSession } from "../lib/session.js";
+import { safeGetUserJid } from "../lib/utils.js";
+import { config, globalContextInfo } from "../config.js";
+
+const handler = async (m, { conn, args, prefix, logger }) => {
+  try {
+    const encrypted = args.some((a) => ["--encrypted", "-e", "encrypted"].includes(a.toLowerCase()));
+    if (encrypted && !config.SESSION_KEY) {
+      return m.reply(`❌ Set a passphrase first: *${prefix}setvar SESSION_KEY <passphrase>*`);
+    }
+
+    const sessionId = exportSession({ encrypted });
+    const dm = safeGetUserJid(conn);
+
+    // the session string is as good as a password: never post it in a group
+    await conn.sendMessage(dm, {
+      text:
+        `🔐 *Your SESSION_ID*${encrypted ? " (encrypted — needs the same SESSION_KEY)" : ""}\n\n` +
+        `Set it as the SESSION_ID variable on your host. Anyone holding it can use your WhatsApp — keep it private.`,
+      contextInfo: globalContextInfo
+    });
+    await conn.sendMessage(dm, { text: sessionId });
+
+    if (m.chat !== dm) await m.reply("✅ Session sent to the bot's own chat.");
+  } catch (err) {
+    logger.error("Session export error:", err);
+    await m.reply(`❌ Session export failed: ${err.message}`);
+  }
+};
+
+handler.help = ["getsession [--encrypted]"];
+handler.tags = ["owner"];
+handler.command = ["getsession", "exportsession"];
+handler.aliases = { exportsession: "getsession" };
+handler.owner = true;
+
+export default handler;
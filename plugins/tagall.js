@@ -0,0 +1,42 @@
+/**
+ * Mention everyone in a group (admins only)
+ * Usage: !tagall [message] | !hidetag <message> (or reply to a message)
+ * hidetag notifies every member without listing them.
+ */
+
+import { getGroupMetadata } from "../lib/handler.js";
+import { jidToNumber } from "../lib/utils.js";
+
+const handler = async (m, { conn, text, command, prefix, logger }) => {
+  try {
+    const meta = await getGroupMetadata(conn, m.chat);
+    const members = (meta?.participants || []).map((p) => p.id);
+    const message = text.trim() || m.quoted?.text?.trim() || "";
+
+    if (command === "hidetag") {
+      if (!message) return m.reply(`❌ Usage: *${prefix}hidetag <message>* or reply to a message.`);
+      return conn.sendMessage(m.chat, { text: message, mentions: members });
+    }
+
+    const list = members.map((jid) => `• @${jidToNumber(jid)}`).join("\n");
+    await conn.sendMessage(
+      m.chat,
+      {
+        text: `📢 *${meta.subject}*${message ? `\n\n${message}` : ""}\n\n👥 *${members.length} members*\n${list}`,
+        mentions: members
+      },
+      { quoted: m }
+    );
+  } catch (err) {
+    logger.error("Tagall error:", err);
+    await m.reply(`❌ Couldn't tag members: ${err.message}`);
+  }
+};
+
+handler.help = ["tagall [message]", "hidetag <message>"];
+handler.tags = ["group"];
+handler.command = ["tagall", "hidetag"];
+handler.group = true;
+handler.admin = true;
+
+export default handler;
@@ -5,29 +5,20 @@
  */
 
 import axios from "axios";
-import { globalContextInfo } from "../lib/silvaConnect.js";
+import { globalContextInfo } from "../config.js";
 
-const handler = async (m, { conn, args }) => {
-  const chatId =
-    m.key?.remoteJid ||
-    m.chat ||
-    (m.message?.extendedTextMessage?.contextInfo?.participant ?? m.participant);
+const handler = async (m, { conn, args, command, prefix, logger }) => {
+  const chatId = m.chat;
 
   try {
     const ip = args[0];
 
     if (!ip) {
-      return conn.sendMessage(chatId, {
-        text: "❌ Please provide an IP address.\n\nExample: *.trackip 8.8.8.8*",
-        contextInfo: globalContextInfo,
-      });
+      return m.reply(`❌ Please provide an IP address.\n\nExample: *${prefix + command} 8.8.8.8*`);
     }
 
     if (ip === "0.0.0.0") {
-      return conn.sendMessage(chatId, {
-        text: "🚫 That IP address is invalid for tracking.",
-        contextInfo: globalContextInfo,
-      });
+      return m.reply("🚫 That IP address is invalid for tracking.");
     }
 
     await conn.sendMessage(chatId, {
@@ -84,23 +75,15 @@ const handler = async (m, { conn, args }) => {
       contextInfo: globalContextInfo,
     });
   } catch (error) {
-    console.error("TrackIP plugin error:", error);
-    await conn.sendMessage(
-      m.key?.remoteJid ||
-        m.chat ||
-        (m.message?.extendedTextMessage?.contextInfo?.participant ??
-          m.participant),
-      {
-        text: `❌ *IP Tracking failed!*\n\nError: ${error.message}`,
-        contextInfo: globalContextInfo,
-      }
-    );
+    logger.error("TrackIP plugin error:", error);
+    await m.reply(`❌ *IP Tracking failed!*\n\nError: ${error.message}`);
   }
 };
 
 handler.help = ["trackip <ip>"];
 handler.tags = ["tools", "network"];
 handler.command = ["trackip", "iplookup", "ipinfo"];
+handler.aliases = { iplookup: "trackip", ipinfo: "trackip" };
 handler.private = false;
 
 export default handler;
@@ -0,0 +1,65 @@
+/**
+ * Runtime configuration for Silva MD Pro (owner only)
+ * Usage: !getvar [KEY] | !setvar <KEY> <value> | !resetvar <KEY>
+ * Overrides are saved to data/config.json and survive restarts and redeploys.
+ */
+
+import { CONFIG_SCHEMA, getVar, listVars, setVar, resetVar } from "../config.js";
+
+function show(v) {
+  if (v.secret && v.value) return "••••••";
+  if (Array.isArray(v.value)) return v.value.join(",") || "(empty)";
+  return v.value === "" ? "(empty)" : String(v.value);
+}
+
+function describe(v) {
+  let line = `*${v.key}* = ${show(v)}  _(${v.source})_`;
+  line += `\n   ${v.description}`;
+  line += `\n   type: ${v.type === "enum" ? v.values.join(" | ") : v.type}${v.restart ? " · needs restart" : ""}`;
+  return line;
+}
+
+const handler = async (m, { args, command, prefix }) => {
+  try {
+    const key = args[0]?.toUpperCase();
+
+    if (command === "getvar") {
+      if (!key) {
+        const lines = listVars().map((v) => `• *${v.key}* = ${show(v)}${v.source === "default" ? "" : ` _(${v.source})_`}`);
+        return m.reply(`⚙️ *Configuration*\n\n${lines.join("\n")}\n\nSend *${prefix}getvar <KEY>* for details.`);
+      }
+      const v = getVar(key);
+      return m.reply(v ? `⚙️ ${describe(v)}` : `❌ Unknown variable *${key}*.`);
+    }
+
+    if (!key || !CONFIG_SCHEMA[key]) {
+      return m.reply(
+        key ? `❌ Unknown variable *${key}*. Send *${prefix}getvar* for the list.` : `❌ Usage: *${prefix}${command} <KEY>${command === "setvar" ? " <value>" : ""}*`
+      );
+    }
+
+    if (command === "setvar") {
+      const value = args.slice(1).join(" ");
+      if (!value && CONFIG_SCHEMA[key].type !== "list" && CONFIG_SCHEMA[key].type !== "string") {
+        return m.reply(`❌ Usage: *${prefix}setvar ${key} <value>*`);
+      }
+      const v = setVar(key, value);
+      return m.reply(`✅ ${describe(v)}${v.restart ? `\n\n♻️ Restart the bot for this to take effect.` : ""}`);
+    }
+
+    if (command === "resetvar") {
+      const v = resetVar(key);
+      return m.reply(`♻️ ${describe(v)}${v.restart ? `\n\n♻️ Restart the bot for this to take effect.` : ""}`);
+    }
+  } catch (err) {
+    // parse/validation errors carry a readable message
+    await m.reply(`❌ ${err.message}`);
+  }
+};
+
+handler.help = ["getvar [KEY]", "setvar <KEY> <value>", "resetvar <KEY>"];
+handler.tags = ["owner"];
+handler.command = ["getvar", "setvar", "resetvar"];
+handler.owner = true;
+
+export default handler;
@@ -0,0 +1,89 @@
+/**
+ * YouTube video downloader for Silva MD Pro
+ * Usage: !video <search|youtube link|playlist link> [144p-1080p] [--doc]
+ * Without a link the top five results are listed to pick from. Videos too big
+ * for the chosen resolution are retried lower; large files go as documents.
+ */
+
+import { config, globalContextInfo } from "../config.js";
+import { replyDownloadError, takeMediaFlag } from "../lib/media.js";
+import {
+  VIDEO_QUALITIES,
+  chooseVideo,
+  getVideo,
+  parseYouTubeUrl,
+  queuePlaylist,
+  sendYouTube,
+  takeQuality
+} from "../lib/youtube.js";
+
+const MB = 1024 * 1024;
+
+const handler = async (m, { conn, args: rawArgs, command, prefix, signal, logger, refund, fail }) => {
+  const chatId = m.chat;
+  const { kind: requestedKind, args: flagless } = takeMediaFlag(rawArgs);
+  const { resolution, args } = takeQuality(flagless);
+  const text = args.join(" ");
+
+  if (!text) {
+    refund();
+    return m.reply(
+      `❌ What video do you want?\n\nExamples:\n• ${prefix + command} lofi hip hop\n` +
+        `• ${prefix + command} https://youtu.be/dQw4w9WgXcQ 720p\n• ${prefix + command} <playlist link>\n\n` +
+        `Resolutions: ${VIDEO_QUALITIES.join(", ")} (default ${config.YT_VIDEO_QUALITY}). Add *--doc* to get a file.`
+    );
+  }
+
+  try {
+    const link = parseYouTubeUrl(text);
+    if (link?.listId) {
+      await queuePlaylist(conn, m, { listId: link.listId, mode: "video", quality: resolution, requested: requestedKind });
+      return;
+    }
+
+    const video = link ? await getVideo(link.videoId) : await chooseVideo(m, text, { signal });
+    if (!video) return refund();
+
+    const loadingMsg = await conn.sendMessage(chatId, {
+      text: `⏳ Fetching *${video.title}* (${resolution || config.YT_VIDEO_QUALITY})...`,
+      contextInfo: globalContextInfo
+    });
+
+    const sent = await sendYouTube(conn, chatId, {
+      video,
+      mode: "video",
+      quality: resolution,
+      requested: requestedKind,
+      signal,
+      quoted: m,
+      caption: `🎬 *${video.title}*\n👤 ${video.author?.name || "Unknown"}\n🔗 ${video.url}\n\n_⚡ Downloaded via Silva MD Pro_`,
+      onProgress: ({ percent }) =>
+        loadingMsg?.key && conn.sendMessage(chatId, { text: `⏬ Downloading *${video.title}*... ${percent}%`, edit: loadingMsg.key })
+    });
+
+    if (loadingMsg?.key) {
+      const notes = [`✅ Sent in ${sent.quality}, ${(sent.size / MB).toFixed(1)} MB`];
+      if (resolution && sent.quality !== resolution) notes.push(`(${resolution} was over the size limit)`);
+      if (sent.kind === "document" && requestedKind !== "document") notes.push("as a document — too large for a video message");
+      await conn.sendMessage(chatId, { text: notes.join(" "), edit: loadingMsg.key });
+    }
+  } catch (error) {
+    await replyDownloadError(
+      m,
+      error,
+      `⚠️ *Download Failed!*\nReason: ${error.message}\n\n` +
+        `Possible causes:\n• Private, age-restricted or very long video\n• Network timeout\n• API temporarily down`,
+      { signal, fail, logger }
+    );
+  }
+};
+
+handler.help = ["video <search|url> [720p] [--doc]", "ytmp4 <url> [720p]"];
+handler.tags = ["downloader", "media"];
+handler.command = ["video", "ytmp4", "ytv"];
+handler.aliases = { ytmp4: "video", ytv: "video" };
+handler.cooldown = 30;
+handler.timeout = 240;
+handler.limit = 25;
+
+export default handler;
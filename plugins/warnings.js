@@ -0,0 +1,65 @@
+/**
+ * Member warnings for Silva MD Pro
+ * Usage: !warn <@user|reply> [reason] | !unwarn <@user|reply> [all] | !warnings [@user]
+ * Members are removed once they reach the group's maximum (see !maxwarn).
+ * warn/unwarn are for admins; anyone can check their own warnings.
+ */
+
+import { isGroupAdmin } from "../lib/handler.js";
+import { resolveTargets, sameUser } from "../lib/group.js";
+import { addWarning, clearWarnings, getModeration, getWarnings } from "../lib/moderation.js";
+import { jidToNumber, safeGetUserJid } from "../lib/utils.js";
+
+const tag = (jid) => `@${jidToNumber(jid)}`;
+
+const handler = async (m, { conn, args, command, prefix, isOwner, logger }) => {
+  try {
+    const isAdmin = isOwner || (await isGroupAdmin(conn, m.chat, m.sender));
+    const max = getModeration(m.chat).maxWarnings;
+    // only mentions/replies pick the target, so numbers in a reason aren't mistaken for users
+    const [target] = resolveTargets(m);
+
+    if (command === "warnings") {
+      if (!target && isAdmin) {
+        const entries = Object.entries(getWarnings(m.chat));
+        if (!entries.length) return m.reply("✅ Nobody in this group has warnings.");
+        const jids = entries.map(([number]) => `${number}@s.whatsapp.net`);
+        const lines = entries.map(([number, w]) => `• @${number} — ${w.count}/${max}`);
+        return m.reply({ text: `⚠️ *Warnings*\n\n${lines.join("\n")}`, mentions: jids });
+      }
+      const who = target && isAdmin ? target : m.sender;
+      const w = getWarnings(m.chat, who);
+      const reasons = w.reasons.map((r, i) => `${i + 1}. ${r}`).join("\n");
+      return m.reply({ text: `⚠️ ${tag(who)} has *${w.count}/${max}* warnings.${reasons ? `\n\n${reasons}` : ""}`, mentions: [who] });
+    }
+
+    if (!isAdmin) return m.reply("🛡️ Only group admins can warn members.");
+    if (!target) return m.reply(`❌ Mention someone or reply to their message.\n\nExample: *${prefix}${command} @user ${command === "warn" ? "spamming" : "all"}*`);
+
+    const rest = args.filter((a) => !a.startsWith("@"));
+
+    if (command === "warn") {
+      if (sameUser(target, safeGetUserJid(conn))) return m.reply("😅 I'm not warning myself.");
+      if (await isGroupAdmin(conn, m.chat, target)) return m.reply("🛡️ Admins can't be warned.");
+      const { count, kicked } = await addWarning(conn, m.chat, target, rest.join(" ").trim());
+      if (kicked) return m.reply({ text: `👢 ${tag(target)} reached ${max}/${max} warnings and was removed.`, mentions: [target] });
+      const note = count >= max ? "\n\n⚠️ Limit reached, but I couldn't remove them — am I an admin?" : "";
+      return m.reply({ text: `⚠️ ${tag(target)} warned (${count}/${max}).${note}`, mentions: [target] });
+    }
+
+    if (command === "unwarn") {
+      const left = clearWarnings(m.chat, target, rest[0]?.toLowerCase() === "all");
+      return m.reply({ text: `✅ ${tag(target)} now has ${left}/${max} warnings.`, mentions: [target] });
+    }
+  } catch (err) {
+    logger.error("Warnings error:", err);
+    await m.reply(`❌ ${err.message}`);
+  }
+};
+
+handler.help = ["warn <@user|reply> [reason]", "unwarn <@user|reply> [all]", "warnings [@user]"];
+handler.tags = ["group", "moderation"];
+handler.command = ["warn", "unwarn", "warnings"];
+handler.group = true;
+
+export default handler;
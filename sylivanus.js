@@ -1,15 +1,21 @@
 import { silvaConnect } from "./lib/silvaConnect.js";
+import { createLogger } from "./lib/logger.js";
+import { startServer } from "./lib/server.js";
+
+const log = createLogger("main");
 
 // Start Silva MD Pro bot
 async function startBot() {
   try {
-    console.log("🚀 Starting Silva MD Pro...");
+    log.info("🚀 Starting Silva MD Pro...");
     await silvaConnect();
   } catch (error) {
-    console.error("❌ Startup Error:", error);
-    console.log("🔁 Retrying in 5 seconds...");
+    log.error("Startup error:", error);
+    log.info("🔁 Retrying in 5 seconds...");
     setTimeout(startBot, 5000);
   }
 }
 
+// health, readiness and metrics endpoints (only when PORT is set)
+startServer();
 startBot();
@@ -0,0 +1,9 @@
+// test/fixtures/hooks.js — module resolution hooks registered by offline.js
+const STANDINS = {
+  "yt-search": new URL("./yt-search.js", import.meta.url).href
+};
+
+export async function resolve(specifier, context, nextResolve) {
+  if (STANDINS[specifier]) return { url: STANDINS[specifier], shortCircuit: true };
+  return nextResolve(specifier, context);
+}
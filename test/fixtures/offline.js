@@ -0,0 +1,5 @@
+// test/fixtures/offline.js — preloaded by run-replays.js (node --import) so
+// scripts run without network: searches are answered by ./yt-search.js.
+import { register } from "module";
+
+register("./hooks.js", import.meta.url);
@@ -0,0 +1,26 @@
+// test/fixtures/yt-search.js — canned yt-search results for replay scripts.
+// Any query gets five results, except ones containing "nothing", which get none.
+const video = (videoId, title, seconds) => ({
+  videoId,
+  title,
+  url: `https://youtube.com/watch?v=${videoId}`,
+  seconds,
+  timestamp: `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`,
+  author: { name: "Replay Channel" },
+  thumbnail: ""
+});
+
+const VIDEOS = [
+  video("aaaaaaaaaa1", "First result", 185),
+  video("aaaaaaaaaa2", "Second result", 242),
+  video("aaaaaaaaaa3", "Third result", 61),
+  video("aaaaaaaaaa4", "Fourth result", 3600),
+  video("aaaaaaaaaa5", "Fifth result", 90)
+];
+
+export default async function search(query) {
+  if (query?.videoId) return VIDEOS.find((v) => v.videoId === query.videoId) || null;
+  if (query?.listId) return { title: "Replay playlist", videos: VIDEOS };
+  if (/nothing/i.test(query)) return { videos: [] };
+  return { videos: VIDEOS.map((v) => ({ ...v, title: `${v.title} for ${query}` })) };
+}
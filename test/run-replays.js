@@ -0,0 +1,62 @@
+// test/run-replays.js — runs every script in test/replay through the offline console.
+//   npm test                  all scripts
+//   npm test -- moderation    only scripts whose name contains "moderation"
+// Each script starts from an empty database and no !setvar overrides, so
+// scripts don't depend on each other or on the order they run in.
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawnSync } from "child_process";
+
+const SCRIPT_DIR = path.join("test", "replay");
+const SCRIPT_TIMEOUT_MS = 120_000;
+// stands in for the network lookups plugins make (YouTube search)
+const OFFLINE_FIXTURES = "./test/fixtures/offline.js";
+
+// fixed values the scripts are written against, whatever the shell exports
+const PINNED_ENV = {
+  PREFIX: "!",
+  NO_PREFIX_PRIVATE: "false",
+  OWNER_NUMBER: "254700000001",
+  // scripts send commands much faster than a person would
+  FLOOD_MAX_COMMANDS: "1000",
+  LOG_LEVEL: "warn",
+  LOG_FILE: ""
+};
+
+const filters = process.argv.slice(2);
+const scripts = fs
+  .readdirSync(SCRIPT_DIR)
+  .filter((file) => file.endsWith(".txt") && (!filters.length || filters.some((f) => file.includes(f))))
+  .sort();
+
+if (!scripts.length) {
+  console.error(`No replay scripts in ${SCRIPT_DIR}${filters.length ? ` matching ${filters.join(", ")}` : ""}`);
+  process.exit(1);
+}
+
+const failed = [];
+for (const script of scripts) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "silva-replay-"));
+  console.log(`\n━━ ${script}`);
+  const result = spawnSync(process.execPath, ["--import", OFFLINE_FIXTURES, "console.js", "--replay", path.join(SCRIPT_DIR, script)], {
+    stdio: "inherit",
+    timeout: SCRIPT_TIMEOUT_MS,
+    env: {
+      ...process.env,
+      ...PINNED_ENV,
+      DATABASE_FILE: path.join(dir, "db.json"),
+      MESSAGE_STORE_FILE: path.join(dir, "messages.jsonl"),
+      CONFIG_OVERRIDES_FILE: path.join(dir, "config.json"),
+      CONSOLE_MEDIA_DIR: path.join(dir, "media")
+    }
+  });
+  fs.rmSync(dir, { recursive: true, force: true });
+  if (result.status !== 0) failed.push(result.error ? `${script} (${result.error.message})` : script);
+}
+
+console.log(`\n${scripts.length - failed.length} of ${scripts.length} replay scripts passed`);
+if (failed.length) {
+  console.log(`Failed: ${failed.join(", ")}`);
+  process.exit(1);
+}